@@ -2,33 +2,34 @@ const fs = require("fs");
 const path = require("path");
 const os = require("os");
 const crypto = require("crypto");
+const { encryptSecret, decryptSecret, canDecryptSecret, shouldReencryptSecret } = require("./secrets");
 
 const ACCOUNTS_FILE = path.join(os.homedir(), ".minecraft-launcher", "accounts.json");
-const ENCRYPTION_KEY = "voxel-launcher-secure-key-2024"; // In production, use a more secure key
+const TOKEN_FIELDS = ["accessToken", "refreshToken"];
+const OFFLINE_USERNAME_PATTERN = /^[A-Za-z0-9_]+$/; // The characters Minecraft allows in player names
 
 /**
- * Encrypt sensitive data
+ * The UUID offline-mode servers give a player: a name-based (version 3) UUID of "OfflinePlayer:<name>",
+ * as Java's UUID.nameUUIDFromBytes makes it
  */
-function encrypt(text) {
-  const cipher = crypto.createCipher("aes-256-cbc", ENCRYPTION_KEY);
-  let encrypted = cipher.update(text, "utf8", "hex");
-  encrypted += cipher.final("hex");
-  return encrypted;
+function getOfflineUuid(username) {
+  const hash = crypto.createHash("md5").update(`OfflinePlayer:${username}`, "utf8").digest();
+  hash[6] = (hash[6] & 0x0f) | 0x30;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+
+  const hex = hash.toString("hex");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
 }
 
 /**
- * Decrypt sensitive data
+ * What identifies an account in selectAccount and removeAccount: the username of offline
+ * accounts, the profile UUID of Microsoft accounts, and the profile UUID with the server for
+ * authentication server accounts, as two servers may hand out the same UUID
  */
-function decrypt(encrypted) {
-  try {
-    const decipher = crypto.createDecipher("aes-256-cbc", ENCRYPTION_KEY);
-    let decrypted = decipher.update(encrypted, "hex", "utf8");
-    decrypted += decipher.final("utf8");
-    return decrypted;
-  } catch (error) {
-    console.error("Decryption failed:", error);
-    return null;
-  }
+function getAccountId(account) {
+  if (account.type === "offline") return account.username;
+  if (account.type === "yggdrasil") return `${account.uuid}@${account.apiRoot}`;
+  return account.uuid;
 }
 
 /**
@@ -42,20 +43,41 @@ function loadAccounts() {
 
     const data = fs.readFileSync(ACCOUNTS_FILE, "utf8");
     const parsed = JSON.parse(data);
+    let reencrypt = false;
 
     // Decrypt sensitive data
     if (parsed.accounts) {
       parsed.accounts = parsed.accounts.map(account => {
-        if (account.type === "microsoft" && account.accessToken) {
-          account.accessToken = decrypt(account.accessToken);
-          if (account.refreshToken) {
-            account.refreshToken = decrypt(account.refreshToken);
+        // Offline accounts saved before they had their own UUID
+        if (account.type === "offline" && !account.uuid) {
+          account.uuid = getOfflineUuid(account.username);
+        }
+
+        for (const field of TOKEN_FIELDS) {
+          const encrypted = account[field];
+          if (!encrypted) continue;
+
+          // Tokens sealed with safeStorage can't be read outside Electron (the CLI), keep them as they are
+          if (!canDecryptSecret(encrypted)) {
+            account.encryptedTokens = { ...account.encryptedTokens, [field]: encrypted };
+            account[field] = null;
+            continue;
+          }
+
+          account[field] = decryptSecret(encrypted);
+          if (account[field] && shouldReencryptSecret(encrypted)) {
+            reencrypt = true;
           }
         }
         return account;
       });
     }
 
+    if (reencrypt) {
+      console.log("🔐 Moving saved account tokens to secure storage");
+      saveAccounts(parsed);
+    }
+
     return parsed;
   } catch (error) {
     console.error("Error loading accounts:", error);
@@ -78,18 +100,21 @@ function saveAccounts(accountsData) {
     const dataToSave = { ...accountsData };
     if (dataToSave.accounts) {
       dataToSave.accounts = dataToSave.accounts.map(account => {
-        const acc = { ...account };
-        if (acc.type === "microsoft" && acc.accessToken) {
-          acc.accessToken = encrypt(acc.accessToken);
-          if (acc.refreshToken) {
-            acc.refreshToken = encrypt(acc.refreshToken);
+        const { encryptedTokens, ...acc } = account;
+        for (const field of TOKEN_FIELDS) {
+          if (acc[field]) {
+            acc[field] = encryptSecret(acc[field]);
+          } else if (encryptedTokens && encryptedTokens[field]) {
+            acc[field] = encryptedTokens[field];
           }
         }
         return acc;
       });
     }
 
-    fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(dataToSave, null, 2));
+    fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(dataToSave, null, 2), { mode: 0o600 });
+    // The mode only applies when the file is created, older launchers wrote it readable by everyone
+    fs.chmodSync(ACCOUNTS_FILE, 0o600);
     return true;
   } catch (error) {
     console.error("Error saving accounts:", error);
@@ -106,7 +131,9 @@ function addAccount(accountData) {
   // Check if account already exists (by UUID for Microsoft, username for offline)
   const existingIndex = accounts.accounts.findIndex(acc => {
     if (accountData.type === "microsoft") {
-      return acc.uuid === accountData.uuid;
+      return acc.type === "microsoft" && acc.uuid === accountData.uuid;
+    } else if (accountData.type === "yggdrasil") {
+      return acc.type === "yggdrasil" && acc.uuid === accountData.uuid && acc.apiRoot === accountData.apiRoot;
     } else {
       return acc.username === accountData.username && acc.type === "offline";
     }
@@ -130,7 +157,7 @@ function addAccount(accountData) {
 
   // Set as selected account if it's the first one
   if (!accounts.selectedAccount) {
-    accounts.selectedAccount = accountData.type === "microsoft" ? accountData.uuid : accountData.username;
+    accounts.selectedAccount = getAccountId(accountData);
   }
 
   saveAccounts(accounts);
@@ -144,14 +171,14 @@ function removeAccount(identifier) {
   const accounts = loadAccounts();
   
   accounts.accounts = accounts.accounts.filter(acc => {
-    const accId = acc.type === "microsoft" ? acc.uuid : acc.username;
+    const accId = getAccountId(acc);
     return accId !== identifier;
   });
 
   // If removed account was selected, select another one
   if (accounts.selectedAccount === identifier) {
     accounts.selectedAccount = accounts.accounts.length > 0
-      ? (accounts.accounts[0].type === "microsoft" ? accounts.accounts[0].uuid : accounts.accounts[0].username)
+      ? getAccountId(accounts.accounts[0])
       : null;
   }
 
@@ -166,7 +193,7 @@ function selectAccount(identifier) {
   const accounts = loadAccounts();
   
   const account = accounts.accounts.find(acc => {
-    const accId = acc.type === "microsoft" ? acc.uuid : acc.username;
+    const accId = getAccountId(acc);
     return accId === identifier;
   });
 
@@ -191,7 +218,7 @@ function getSelectedAccount() {
   }
 
   const account = accounts.accounts.find(acc => {
-    const accId = acc.type === "microsoft" ? acc.uuid : acc.username;
+    const accId = getAccountId(acc);
     return accId === accounts.selectedAccount;
   });
 
@@ -214,14 +241,20 @@ function addOfflineAccount(username) {
     throw new Error("Username cannot be empty");
   }
 
-  if (username.length > 16) {
-    throw new Error("Username must be 16 characters or less");
+  username = username.trim();
+
+  if (username.length < 3 || username.length > 16) {
+    throw new Error("Username must be 3 to 16 characters long");
+  }
+
+  if (!OFFLINE_USERNAME_PATTERN.test(username)) {
+    throw new Error("Username can only contain letters, numbers and underscores");
   }
 
   const accountData = {
     type: "offline",
-    username: username.trim(),
-    uuid: null,
+    username,
+    uuid: getOfflineUuid(username),
     accessToken: null,
     refreshToken: null,
   };
@@ -239,7 +272,22 @@ function updateMicrosoftAccount(accountData) {
   });
 }
 
+/**
+ * Flag a Microsoft or authentication server account (by getAccountId) whose tokens can no longer
+ * be refreshed, or clear the flag
+ */
+function setAccountNeedsLogin(identifier, needsLogin) {
+  const accounts = loadAccounts();
+  const account = accounts.accounts.find(acc => acc.type !== "offline" && getAccountId(acc) === identifier);
+  if (!account) return null;
+
+  account.needsLogin = needsLogin;
+  saveAccounts(accounts);
+  return account;
+}
+
 module.exports = {
+  getAccountId,
   loadAccounts,
   saveAccounts,
   addAccount,
@@ -249,39 +297,7 @@ module.exports = {
   getAllAccounts,
   addOfflineAccount,
   updateMicrosoftAccount,
+  setAccountNeedsLogin,
+  getOfflineUuid,
 };
 
-//Scure and Future-proof
-
-const ALGORITHM = "aes-256-cbc";
-const IV_LENGTH = 16;
-
-function getKey() {
-  return crypto.createHash("sha256").update(ENCRYPTION_KEY).digest();
-}
-
-//Encrypt
-
-function encrypt(text) {
-  const iv = crypto.randomBytes(IV_LENGTH);
-  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
-  let encrypted = cipher.update(text, "utf8", "hex");
-  encrypted += cipher.final("hex");
-  return iv.toString("hex") + ":" + encrypted;
-}
-
-//Decyrpt
-
-function decrypt(encrypted) {
-  try {
-    const [ivHex, data] = encrypted.split(":");
-    const iv = Buffer.from(ivHex, "hex");
-    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
-    let decrypted = decipher.update(data, "hex", "utf8");
-    decrypted += decipher.final("utf8");
-    return decrypted;
-  } catch (e) {
-    console.error("Decryption failed:", e);
-    return null;
-  }
-}
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+// Headless command-line interface, prints one JSON document per command on stdout
+const {
+  launchMinecraft,
+  getVersions,
+  getVersionData,
+  installVersion,
+  verifyAndRepairVersion
+} = require("./minecraft");
+const {
+  getAccountId,
+  loadAccounts,
+  addOfflineAccount,
+  updateMicrosoftAccount,
+  getAllAccounts,
+  selectAccount,
+  getSelectedAccount
+} = require("./accounts");
+const { authenticateWithDeviceCode, ensureFreshAccount } = require("./msauth");
+const { authenticate, selectProfile, ensureValidYggdrasilAccount } = require("./yggdrasil");
+const { getAvailableJavaInstallations } = require("./java");
+const { installLoader, LOADER_NAMES } = require("./loaders");
+const { getInstance, getSelectedInstance, getAllInstances, getInstanceDirectory, markInstancePlayed } = require("./instances");
+const { startSession, updateSession, endSession } = require("./history");
+const { formatLogEntry } = require("./gamelog");
+const { getPreferences } = require("./preferences");
+
+const USAGE = `Usage: voxel-launcher <command> [options]
+
+Commands:
+  list-versions [--all] [--installed]     Minecraft versions, newest first
+  install <version> [--loader <type>[:<version>]]
+                                          Download a version, optionally with a mod loader
+  launch [--instance <id|name>] [--version <version>] [--account <name|uuid>]
+         [--ram <MB>] [--java <path>] [--log]
+                                          Start the game and wait for it to exit
+  accounts list                           Saved accounts
+  accounts add-offline <username>         Add an offline account
+  accounts login-microsoft                Log in to a Microsoft account with a code entered in a browser
+  accounts login-yggdrasil <server> <username> [--password <password>] [--profile <name>]
+                                          Log in to an authentication server (authlib-injector),
+                                          the password can also come from VOXEL_YGGDRASIL_PASSWORD
+  accounts select <username|uuid>         Select the account used by default
+  instances list                          Game instances
+  java list [--refresh]                   Java installations found on this computer
+  verify <version>                        Check a version's files and repair bad ones
+
+Options:
+  --quiet                                 Don't print progress and launcher logs to stderr (warnings still are)
+  --help                                  Show this help`;
+
+/**
+ * Split argv into positional arguments and `--name value` / `--flag` options
+ */
+function parseArguments(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return { positional, options };
+}
+
+function output(result) {
+  process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+}
+
+/**
+ * Account info that is safe to print, without tokens
+ */
+function describeAccount(account) {
+  return {
+    username: account.username,
+    uuid: account.uuid || null,
+    type: account.type,
+    server: account.apiRoot || null,
+    needsLogin: Boolean(account.needsLogin),
+    selected: loadAccounts().selectedAccount === getAccountId(account),
+    lastUsed: account.lastUsed || null,
+  };
+}
+
+function findAccount(identifier) {
+  const account = getAllAccounts().find(acc => acc.username === identifier || acc.uuid === identifier);
+  if (!account) {
+    throw new Error(`No account named ${identifier}`);
+  }
+  return account;
+}
+
+function findInstance(identifier) {
+  const instance = getInstance(identifier) ||
+    getAllInstances().find(inst => inst.name.toLowerCase() === identifier.toLowerCase());
+  if (!instance) {
+    throw new Error(`No instance named ${identifier}`);
+  }
+  return instance;
+}
+
+// Mirror or local server a loader is installed from, as set in the launcher's settings
+function getLoaderMetaUrl(prefs, type) {
+  return prefs[`${type}MetaUrl`] || undefined;
+}
+
+function createProgressPrinter(quiet) {
+  let lastLine = null;
+
+  return (progress) => {
+    if (quiet) return;
+    const percent = Math.floor((progress.overall ?? progress.percent ?? 0) / 10) * 10;
+    const line = `${progress.phase} ${percent}%`;
+    if (line !== lastLine) {
+      lastLine = line;
+      process.stderr.write(`[progress] ${line}\n`);
+    }
+  };
+}
+
+async function listVersionsCommand(options) {
+  const versions = await getVersions({ showBetaAlpha: Boolean(options.all) });
+  return versions
+    .filter(version => !options.installed || version.installed)
+    .map(version => ({
+      id: version.id,
+      type: version.type,
+      releaseTime: version.releaseTime,
+      installed: Boolean(version.installed),
+    }));
+}
+
+async function installCommand([versionId], options) {
+  if (!versionId) {
+    throw new Error("Usage: install <version> [--loader <type>[:<version>]]");
+  }
+
+  const prefs = getPreferences();
+  let installId = versionId;
+  if (options.loader) {
+    const [type, loaderVersion] = String(options.loader).split(":");
+    if (!LOADER_NAMES[type]) {
+      throw new Error(`Unsupported mod loader: ${type}`);
+    }
+    installId = await installLoader(type, versionId, loaderVersion || null, {
+      metaUrl: getLoaderMetaUrl(prefs, type),
+      onProgress: createProgressPrinter(options.quiet),
+    });
+  }
+
+  const { version, versionData } = await getVersionData(installId);
+  const result = await installVersion(version, versionData, {
+    concurrency: prefs.downloadConcurrency,
+    onProgress: createProgressPrinter(options.quiet),
+  });
+
+  return {
+    version,
+    skipped: result.skipped,
+    failed: result.failed.map(file => ({ name: file.name, error: file.error })),
+  };
+}
+
+async function launchCommand(options) {
+  const prefs = getPreferences();
+  let account = options.account ? findAccount(options.account) : getSelectedAccount();
+  if (!account) {
+    throw new Error("No account selected, add one with: accounts add-offline <username>");
+  }
+
+  try {
+    account = account.type === "yggdrasil"
+      ? await ensureValidYggdrasilAccount(account)
+      : await ensureFreshAccount(account, { authConfig: prefs.msAuthConfig });
+  } catch (error) {
+    if (error.needsLogin) throw error;
+    console.warn(`Couldn't refresh ${account.username}, launching with the saved session: ${error.message}`);
+  }
+
+  const instance = options.instance ? findInstance(options.instance) : getSelectedInstance();
+  if (!instance) {
+    throw new Error("No instance selected");
+  }
+
+  // --version launches that version in the instance's directory, without the instance's mod loader
+  let version = options.version || instance.version;
+  if (!version) {
+    version = (await getVersionData(null)).version;
+  }
+
+  // The instance's own Java wins over the one picked for its Minecraft version in settings
+  const javaPath = options.java || instance.javaPath || (prefs.javaPathByVersion || {})[version] || null;
+
+  const session = startSession({ instance, version, account });
+  try {
+    if (!options.version && instance.loader && instance.loader.type) {
+      version = await installLoader(instance.loader.type, version, instance.loader.version, {
+        metaUrl: getLoaderMetaUrl(prefs, instance.loader.type),
+        onProgress: createProgressPrinter(options.quiet),
+      });
+    }
+
+    markInstancePlayed(instance.id);
+
+    const result = await launchMinecraft(
+      version,
+      account,
+      account.username,
+      parseInt(options.ram, 10) || instance.ramAllocation || prefs.ramAllocation,
+      createProgressPrinter(options.quiet),
+      {
+        gameDirectory: getInstanceDirectory(instance),
+        javaPath,
+        jvmArgs: instance.jvmArgs,
+        gcPreset: instance.gcPreset,
+        onLog: options.log ? (entry) => process.stderr.write(formatLogEntry(entry) + "\n") : null,
+        onSpawn: (child, info) => {
+          updateSession(session.id, { javaPath: info.javaPath, javaVersion: info.javaVersion, startedAt: Date.now() });
+        },
+        downloadConcurrency: prefs.downloadConcurrency,
+      }
+    );
+
+    endSession(session.id, { exitCode: result.exitCode, crash: result.crash });
+    return {
+      success: !result.crash,
+      version,
+      instance: { id: instance.id, name: instance.name },
+      account: account.username,
+      exitCode: result.exitCode,
+      crash: result.crash || null,
+      logFile: result.logFile,
+    };
+  } catch (error) {
+    endSession(session.id, { error: error.message });
+    throw error;
+  }
+}
+
+async function loginYggdrasilCommand([server, username], options) {
+  const password = typeof options.password === "string" ? options.password : process.env.VOXEL_YGGDRASIL_PASSWORD;
+  if (!server || !username || !password) {
+    throw new Error("Usage: accounts login-yggdrasil <server> <username> [--password <password>] [--profile <name>]");
+  }
+
+  let result = await authenticate(server, username, password);
+  if (result.profiles) {
+    const profile = result.profiles.find(entry => entry.name === options.profile);
+    if (!profile) {
+      throw new Error(`Choose a profile with --profile: ${result.profiles.map(entry => entry.name).join(", ")}`);
+    }
+    result = await selectProfile(result.session, profile.id);
+  }
+
+  return describeAccount(findAccount(result.account.uuid));
+}
+
+async function accountsCommand([action, identifier, ...args], options) {
+  switch (action) {
+    case "list":
+      return getAllAccounts().map(describeAccount);
+    case "add-offline": {
+      if (!identifier) throw new Error("Usage: accounts add-offline <username>");
+      const result = addOfflineAccount(identifier);
+      const account = result.accounts.find(acc => acc.username === identifier.trim() && acc.type === "offline");
+      return describeAccount(account);
+    }
+    case "login-microsoft": {
+      const authData = await authenticateWithDeviceCode({
+        authConfig: getPreferences().msAuthConfig,
+        // The code is shown even with --quiet, the login can't finish without it
+        onCode: (code) => process.stderr.write(`${code.message}\n`),
+      });
+      updateMicrosoftAccount({ ...authData, needsLogin: false });
+      return describeAccount(findAccount(authData.uuid));
+    }
+    case "login-yggdrasil":
+      return await loginYggdrasilCommand([identifier, ...args], options);
+    case "select": {
+      if (!identifier) throw new Error("Usage: accounts select <username|uuid>");
+      const account = findAccount(identifier);
+      selectAccount(getAccountId(account));
+      return describeAccount(account);
+    }
+    default:
+      throw new Error("Usage: accounts list | add-offline <username> | login-microsoft | login-yggdrasil <server> <username> | select <username|uuid>");
+  }
+}
+
+async function instancesCommand([action]) {
+  if (action !== "list") {
+    throw new Error("Usage: instances list");
+  }
+
+  const selected = getSelectedInstance();
+  return getAllInstances().map(instance => ({
+    id: instance.id,
+    name: instance.name,
+    version: instance.version,
+    loader: instance.loader,
+    directory: getInstanceDirectory(instance),
+    lastPlayed: instance.lastPlayed || null,
+    selected: Boolean(selected) && selected.id === instance.id,
+  }));
+}
+
+async function javaCommand([action], options) {
+  if (action !== "list") {
+    throw new Error("Usage: java list [--refresh]");
+  }
+  return await getAvailableJavaInstallations({ refresh: Boolean(options.refresh) });
+}
+
+async function verifyCommand([versionId], options) {
+  if (!versionId) {
+    throw new Error("Usage: verify <version>");
+  }
+
+  const printProgress = createProgressPrinter(options.quiet);
+  return await verifyAndRepairVersion(versionId, (percent) => printProgress({ phase: "verify", percent }));
+}
+
+const COMMANDS = {
+  "list-versions": (args, options) => listVersionsCommand(options),
+  install: installCommand,
+  launch: (args, options) => launchCommand(options),
+  accounts: accountsCommand,
+  instances: instancesCommand,
+  java: javaCommand,
+  verify: verifyCommand,
+};
+
+async function main(argv) {
+  const { positional, options } = parseArguments(argv);
+  const [command, ...args] = positional;
+
+  if (!command || options.help || !COMMANDS[command]) {
+    process.stderr.write(USAGE + "\n");
+    return command && !options.help ? 1 : 0;
+  }
+
+  // stdout is reserved for the JSON result: the launcher's own logging moves to stderr while the
+  // command runs, warnings and errors are already written there
+  const { log, info } = console;
+  const stderrConsole = new console.Console({ stdout: process.stderr, stderr: process.stderr });
+  console.log = options.quiet ? () => {} : stderrConsole.log;
+  console.info = options.quiet ? () => {} : stderrConsole.info;
+
+  try {
+    const result = await COMMANDS[command](args, options);
+    if (result && result.success === false) {
+      output(result);
+      return 1;
+    }
+    output(Array.isArray(result) ? result : { success: true, ...result });
+    return 0;
+  } catch (error) {
+    output({ success: false, error: error.message });
+    return 1;
+  } finally {
+    console.log = log;
+    console.info = info;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArguments };
@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+
+const MAX_SCAN_BYTES = 512 * 1024; // Only the end of long logs is read, that's where the failure is
+
+// Known failure signatures, most specific first. `fix` may be a function of the launch context.
+const CRASH_SIGNATURES = [
+  {
+    id: "java-too-old",
+    pattern: /UnsupportedClassVersionError|compiled by a more recent version of the Java Runtime/,
+    cause: "The game or a mod needs a newer Java than the one it was started with.",
+    fix: (context) => context.requiredJavaVersion
+      ? `Pick Java ${context.requiredJavaVersion} or newer for this instance, or set its Java to Automatic.`
+      : "Pick a newer Java for this instance, or set its Java to Automatic.",
+  },
+  {
+    id: "java-too-new",
+    pattern: /AppClassLoader cannot be cast to (class )?java\.net\.URLClassLoader|Unsupported class file major version|Nashorn engine is not available/,
+    cause: "This version or its mod loader only runs on an older Java.",
+    fix: "Pick Java 8 for this instance.",
+  },
+  {
+    id: "out-of-memory",
+    pattern: /java\.lang\.OutOfMemoryError|There is insufficient memory for the Java Runtime|Could not reserve enough space for (the )?object heap|Native memory allocation \(\w+\) failed/,
+    cause: "Java ran out of memory.",
+    fix: "Raise the instance's RAM allocation if this computer has memory to spare, otherwise close other programs or remove mods. A 32-bit Java can't use more than about 1.5 GB.",
+  },
+  {
+    id: "missing-natives",
+    pattern: /UnsatisfiedLinkError|no lwjgl\d* in java\.library\.path|Failed to locate library: \S*lwjgl|Can't load library: .*lwjgl/,
+    cause: "The native libraries (LWJGL) are missing or don't match this computer.",
+    fix: "Run Verify & Repair in Settings. On ARM computers, use a Java built for the same architecture as the game.",
+  },
+  {
+    id: "opengl",
+    pattern: /Pixel format not accelerated|GLFW error 6554[23]|does not appear to support OpenGL|No OpenGL context found|OpenGL \d\.\d is required|Couldn't set pixel format|org\.lwjgl\.LWJGLException: Could not create context|(atio6axx|atioglxx|nvoglv\d+|ig\d+icd\d+)\.dll/,
+    cause: "The graphics driver failed to create an OpenGL context.",
+    fix: "Update your graphics driver. On laptops, make sure Java runs on the dedicated GPU.",
+  },
+  {
+    id: "duplicate-mods",
+    pattern: /DuplicateModsFoundException|Duplicate mods? found|Found duplicate mods|DuplicateModsException/,
+    cause: "The same mod is installed more than once.",
+    fix: "Remove the duplicate jar from the instance's mods folder.",
+  },
+  {
+    id: "mod-dependencies",
+    pattern: /Mod resolution failed|MissingModsException|Missing or unsupported mandatory dependencies|requires (any version of |version )?\S+ (of \S+ )?which is missing|Incompatible mods? found|ModResolutionException/,
+    cause: "A mod is missing a dependency or doesn't support this game or loader version.",
+    fix: "Install the missing mods or versions listed in the report, or remove the mod that needs them.",
+  },
+  {
+    id: "mixin",
+    pattern: /MixinApplyError|Mixin apply (for mod \S+ )?failed|InvalidInjectionException|mixin\.transformer\.throwables/,
+    cause: "A mod failed to patch the game, usually because it isn't made for this version or clashes with another mod.",
+    fix: "Update the mod named in the report or remove it.",
+  },
+  {
+    id: "jvm-crash",
+    pattern: /A fatal error has been detected by the Java Runtime Environment/,
+    cause: "Java itself crashed, usually in a graphics driver or native library.",
+    fix: "Update your graphics driver and Java. The report names the library that failed.",
+  },
+];
+
+function readTail(filePath) {
+  try {
+    const { size } = fs.statSync(filePath);
+    const start = Math.max(0, size - MAX_SCAN_BYTES);
+    const fd = fs.openSync(filePath, "r");
+    try {
+      const buffer = Buffer.alloc(size - start);
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+      return buffer.toString("utf8");
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    return "";
+  }
+}
+
+function listNewFiles(dir, filter, since) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(filter)
+    .map(file => path.join(dir, file))
+    .filter(file => fs.statSync(file).mtimeMs >= since)
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+}
+
+/**
+ * Crash reports and JVM error logs the game wrote into its directory since `since` (ms), newest first
+ */
+function findCrashFiles(gameDir, since) {
+  return {
+    crashReports: listNewFiles(path.join(gameDir, "crash-reports"), file => file.endsWith(".txt"), since),
+    jvmErrorLogs: listNewFiles(gameDir, file => /^hs_err_pid\d+\.log$/.test(file), since),
+  };
+}
+
+/**
+ * Work out why the game exited with a non-zero code from its crash report, JVM error log
+ * and the session log. Returns `{ exitCode, cause, fix, signature, reportFile, logFile }`.
+ *
+ * Context: `gameDir`, `startedAt` (ms), `logFile`, `requiredJavaVersion`.
+ */
+function diagnoseCrash(exitCode, context) {
+  const { crashReports, jvmErrorLogs } = findCrashFiles(context.gameDir, context.startedAt);
+  const reportFile = crashReports[0] || jvmErrorLogs[0] || null;
+
+  // The session log goes first: errors before the game is up (wrong Java, missing mods) only end up there
+  const sources = [context.logFile, ...crashReports.slice(0, 1), ...jvmErrorLogs.slice(0, 1)].filter(Boolean);
+  const text = sources.map(readTail).join("\n");
+
+  const signature = CRASH_SIGNATURES.find(candidate => candidate.pattern.test(text));
+
+  const diagnosis = {
+    exitCode,
+    signature: signature ? signature.id : null,
+    cause: signature ? signature.cause : `Minecraft exited with code ${exitCode}.`,
+    fix: signature
+      ? (typeof signature.fix === "function" ? signature.fix(context) : signature.fix)
+      : "The crash report or the game log has the details.",
+    reportFile,
+    logFile: context.logFile || null,
+  };
+
+  console.log(`💥 Crash diagnosis: ${diagnosis.signature || "unknown"}${reportFile ? ` (${reportFile})` : ""}`);
+  return diagnosis;
+}
+
+module.exports = {
+  CRASH_SIGNATURES,
+  findCrashFiles,
+  diagnoseCrash,
+};
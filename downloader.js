@@ -0,0 +1,352 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_RETRIES = 3;
+const PROGRESS_INTERVAL = 250; // ms between progress events
+const SPEED_WINDOW = 3000; // ms of samples used to compute download speed
+const STALL_TIMEOUT = 30000; // ms without data before a download is given up and retried
+
+// Downloads currently running, keyed by destination path, so two queues never fetch the same file at once
+const inFlight = new Map();
+
+/**
+ * Compute the SHA-1 of a file on disk
+ */
+function getFileSha1(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha1");
+    const stream = fs.createReadStream(filePath);
+    stream.on("data", (chunk) => hash.update(chunk));
+    stream.on("error", reject);
+    stream.on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/**
+ * Check a file against the size and SHA-1 from the version JSON (when they are known)
+ */
+async function isFileValid(filePath, sha1, size) {
+  if (!fs.existsSync(filePath)) return false;
+
+  const stats = fs.statSync(filePath);
+  if (stats.size === 0) return false;
+  if (size && stats.size !== size) return false;
+
+  if (sha1) {
+    return (await getFileSha1(filePath)) === sha1.toLowerCase();
+  }
+  return true;
+}
+
+/**
+ * Error thrown when a download is cancelled through its AbortSignal
+ */
+function createAbortError() {
+  const error = new Error("Download cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+function isAbortError(error) {
+  return Boolean(error) && (error.name === "AbortError" || axios.isCancel(error));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Stream a URL into `<filePath>.part`, resuming with an HTTP Range request when a
+ * partial file is already there, then verify it and move it into place
+ */
+async function fetchToFile(url, filePath, { sha1, signal, onData, onResponse } = {}) {
+  if (signal && signal.aborted) throw createAbortError();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  if (fs.existsSync(filePath)) {
+    console.warn(`Replacing invalid file: ${filePath}`);
+    fs.unlinkSync(filePath);
+  }
+
+  const partPath = `${filePath}.part`;
+  const resumeFrom = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+  try {
+    const response = await axios({
+      url: url,
+      method: "GET",
+      responseType: "stream",
+      signal,
+      timeout: STALL_TIMEOUT,
+      headers: resumeFrom > 0 ? { Range: `bytes=${resumeFrom}-` } : {},
+      validateStatus: (status) => status === 200 || status === 206 || status === 416,
+    });
+
+    if (response.status === 416) {
+      // The partial file already holds everything the server has
+      response.data.destroy();
+    } else {
+      const append = response.status === 206;
+      const contentLength = parseInt(response.headers["content-length"], 10);
+      if (onResponse && contentLength) onResponse(contentLength + (append ? resumeFrom : 0));
+      if (onData && append) onData(resumeFrom);
+
+      await new Promise((resolve, reject) => {
+        const writer = fs.createWriteStream(partPath, { flags: append ? "a" : "w" });
+
+        // A connection that stops sending fails like any other error, the retry resumes from the .part file
+        let stallTimer = null;
+        const resetStallTimer = () => {
+          clearTimeout(stallTimer);
+          stallTimer = setTimeout(() => {
+            response.data.destroy(new Error(`Download stalled for ${STALL_TIMEOUT / 1000}s: ${url}`));
+          }, STALL_TIMEOUT);
+        };
+        resetStallTimer();
+        writer.on("close", () => clearTimeout(stallTimer));
+
+        response.data.on("data", (chunk) => {
+          resetStallTimer();
+          if (onData) onData(chunk.length);
+        });
+
+        response.data.on("error", (error) => {
+          writer.destroy();
+          reject(error);
+        });
+
+        writer.on("error", reject);
+        writer.on("finish", resolve);
+
+        response.data.pipe(writer);
+      });
+    }
+  } catch (error) {
+    // Keep the .part file so the next attempt can resume from it
+    if (isAbortError(error) || (signal && signal.aborted)) throw createAbortError();
+    throw error;
+  }
+
+  if (sha1) {
+    const actualSha1 = await getFileSha1(partPath);
+    if (actualSha1 !== sha1.toLowerCase()) {
+      fs.unlinkSync(partPath);
+      throw new Error(`SHA-1 mismatch for ${path.basename(filePath)}: expected ${sha1}, got ${actualSha1}`);
+    }
+  }
+
+  fs.renameSync(partPath, filePath);
+}
+
+/**
+ * Download a single file unless a valid copy is already on disk
+ *
+ * Options: `sha1`, `size`, `signal` (AbortSignal), `onData(bytes)` and `onResponse(contentLength)`.
+ */
+async function downloadFile(url, filePath, options = {}) {
+  if (await isFileValid(filePath, options.sha1, options.size)) {
+    return false;
+  }
+
+  // Share the running download's outcome, including its failure
+  if (inFlight.has(filePath)) {
+    return await inFlight.get(filePath);
+  }
+
+  const promise = fetchToFile(url, filePath, options)
+    .then(() => true)
+    .finally(() => inFlight.delete(filePath));
+  inFlight.set(filePath, promise);
+  return await promise;
+}
+
+/**
+ * Download a list of files through one queue with a fixed number of parallel workers
+ *
+ * Each task is `{ url, path, sha1, size, name, fallbackUrls }`. Identical URLs are only
+ * fetched once. Failed tasks are collected in the result instead of rejecting so the
+ * caller decides how many failures it can tolerate, but cancellation always rejects.
+ * Progress events carry the phase, current file, bytes done/total, speed (bytes/s) and ETA (s).
+ */
+async function downloadAll(tasks, options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    retries = DEFAULT_RETRIES,
+    signal,
+    phase = "download",
+    onProgress,
+  } = options;
+
+  const result = { downloaded: 0, skipped: 0, failed: [] };
+
+  // Deduplicate by URL; tasks pointing the same URL at another path get a copy afterwards
+  const queue = [];
+  const copies = [];
+  const byUrl = new Map();
+  for (const task of tasks) {
+    const key = task.url || task.path;
+    const existing = byUrl.get(key);
+    if (existing) {
+      if (existing.path !== task.path) copies.push({ from: existing, to: task });
+      continue;
+    }
+    byUrl.set(key, task);
+    queue.push(task);
+  }
+
+  const state = {
+    bytesDone: 0,
+    bytesTotal: queue.reduce((sum, task) => sum + (task.size || 0), 0),
+    filesDone: 0,
+    filesTotal: queue.length,
+    currentFile: null,
+    samples: [{ time: Date.now(), bytes: 0 }],
+    lastEmit: 0,
+    finished: false,
+  };
+
+  const emit = (force = false) => {
+    if (!onProgress) return;
+
+    const now = Date.now();
+    if (!force && now - state.lastEmit < PROGRESS_INTERVAL) return;
+    state.lastEmit = now;
+
+    state.samples.push({ time: now, bytes: state.bytesDone });
+    while (state.samples.length > 2 && now - state.samples[0].time > SPEED_WINDOW) {
+      state.samples.shift();
+    }
+
+    const oldest = state.samples[0];
+    const elapsed = (now - oldest.time) / 1000;
+    const speed = elapsed > 0 ? (state.bytesDone - oldest.bytes) / elapsed : 0;
+    const remaining = Math.max(0, state.bytesTotal - state.bytesDone);
+
+    let percent = 100;
+    if (!state.finished && state.bytesTotal > 0) {
+      percent = Math.min(100, (state.bytesDone / state.bytesTotal) * 100);
+    } else if (!state.finished && state.filesTotal > 0) {
+      percent = (state.filesDone / state.filesTotal) * 100;
+    }
+
+    onProgress({
+      phase,
+      file: state.currentFile,
+      filesDone: state.filesDone,
+      filesTotal: state.filesTotal,
+      bytesDone: state.bytesDone,
+      bytesTotal: state.bytesTotal,
+      speed,
+      eta: speed > 0 ? remaining / speed : null,
+      percent,
+    });
+  };
+
+  const runTask = async (task) => {
+    state.currentFile = task.name || path.basename(task.path);
+
+    if (await isFileValid(task.path, task.sha1, task.size)) {
+      state.bytesDone += task.size || 0;
+      result.skipped++;
+      return;
+    }
+
+    const urls = [task.url, ...(task.fallbackUrls || [])].filter(Boolean);
+    let lastError = null;
+
+    // What earlier attempts added to the totals; a retry reports its bytes (a resumed .part included) again
+    let attemptBytes = 0;
+    let attemptTotal = 0;
+
+    for (const url of urls) {
+      for (let attempt = 0; attempt < retries; attempt++) {
+        if (signal && signal.aborted) throw createAbortError();
+
+        state.bytesDone -= attemptBytes;
+        state.bytesTotal -= attemptTotal;
+        attemptBytes = 0;
+        attemptTotal = 0;
+
+        try {
+          await downloadFile(url, task.path, {
+            sha1: task.sha1,
+            signal,
+            onResponse: (contentLength) => {
+              if (task.size) return;
+              attemptTotal += contentLength;
+              state.bytesTotal += contentLength;
+            },
+            onData: (bytes) => {
+              attemptBytes += bytes;
+              state.bytesDone += bytes;
+              emit();
+            },
+          });
+          result.downloaded++;
+          return;
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          lastError = error;
+
+          // A missing file won't appear on retry, move on to the next mirror
+          if (error.response && error.response.status === 404) break;
+
+          if (attempt < retries - 1) {
+            await sleep(Math.pow(2, attempt) * 1000);
+          }
+        }
+      }
+    }
+
+    console.warn(`Failed to download ${state.currentFile}: ${lastError ? lastError.message : "no URL"}`);
+    result.failed.push({ ...task, error: lastError ? lastError.message : "No download URL" });
+  };
+
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < queue.length) {
+      const task = queue[nextIndex++];
+      try {
+        await runTask(task);
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        result.failed.push({ ...task, error: error.message });
+      }
+      state.filesDone++;
+      emit();
+    }
+  };
+
+  emit(true);
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+  const failedPaths = new Set(result.failed.map(task => task.path));
+  for (const { from, to } of copies) {
+    if (failedPaths.has(from.path)) {
+      result.failed.push({ ...to, error: "Source download failed" });
+      continue;
+    }
+    if (!(await isFileValid(to.path, to.sha1, to.size))) {
+      fs.mkdirSync(path.dirname(to.path), { recursive: true });
+      fs.copyFileSync(from.path, to.path);
+    }
+  }
+
+  state.currentFile = null;
+  state.finished = true;
+  emit(true);
+  return result;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  downloadFile,
+  downloadAll,
+  getFileSha1,
+  isFileValid,
+  isAbortError,
+};
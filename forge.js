@@ -0,0 +1,355 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const axios = require("axios");
+const AdmZip = require("adm-zip");
+const { spawn } = require("child_process");
+const { downloadAll, getFileSha1 } = require("./downloader");
+const { installJavaRuntime, getRuntimePlatform } = require("./runtime");
+const { getAvailableJavaInstallations } = require("./java");
+const {
+  getVersionData,
+  getLibraryFiles,
+  parseLibraryPath,
+  getJavaRuntimeComponent,
+  getRequiredJavaVersion,
+  selectBestJavaForVersion,
+  MINECRAFT_DIR,
+  VERSIONS_DIR,
+  LIBRARIES_DIR,
+} = require("./minecraft");
+
+const NETWORK_TIMEOUT = 10000; // ms
+
+/**
+ * Where a loader's installers live in its Maven repository. NeoForge's first release
+ * (for 1.20.1) still used Forge's artifact and "<game>-<loader>" version scheme.
+ */
+function getInstallerArtifact(type, gameVersion) {
+  if (type === "forge") {
+    return { path: "net/minecraftforge/forge", name: "forge", prefixed: true };
+  }
+  if (type === "neoforge" && gameVersion === "1.20.1") {
+    return { path: "net/neoforged/forge", name: "forge", prefixed: true };
+  }
+  if (type === "neoforge") {
+    return { path: "net/neoforged/neoforge", name: "neoforge", prefixed: false };
+  }
+  throw new Error(`Unsupported mod loader: ${type}`);
+}
+
+/**
+ * NeoForge versions drop the leading "1." of the game version, e.g. 1.20.4 -> 20.4.x, 1.21 -> 21.0.x
+ */
+function getNeoForgePrefix(gameVersion) {
+  const [, minor, patch = "0"] = gameVersion.split(".");
+  return `${minor}.${patch}.`;
+}
+
+function compareVersions(a, b) {
+  const partsA = a.split(/[^0-9]+/).filter(Boolean).map(Number);
+  const partsB = b.split(/[^0-9]+/).filter(Boolean).map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function getFullVersion(type, gameVersion, loaderVersion) {
+  return getInstallerArtifact(type, gameVersion).prefixed ? `${gameVersion}-${loaderVersion}` : loaderVersion;
+}
+
+/**
+ * List the Forge or NeoForge versions for a Minecraft version from the Maven metadata, newest first
+ */
+async function getForgeVersions(type, gameVersion, options = {}) {
+  const artifact = getInstallerArtifact(type, gameVersion);
+  const response = await axios.get(`${options.mavenUrl}/${artifact.path}/maven-metadata.xml`, {
+    timeout: NETWORK_TIMEOUT,
+    responseType: "text",
+  });
+
+  const allVersions = [...String(response.data).matchAll(/<version>([^<]+)<\/version>/g)].map(match => match[1]);
+
+  const versions = artifact.prefixed
+    ? allVersions
+      .filter(version => version.startsWith(`${gameVersion}-`))
+      .map(version => version.substring(gameVersion.length + 1))
+    : allVersions.filter(version => version.startsWith(getNeoForgePrefix(gameVersion)));
+
+  return versions
+    .sort((a, b) => compareVersions(b, a))
+    .map(version => ({ version, stable: !/beta|alpha/i.test(version) }));
+}
+
+/**
+ * Absolute path of a Maven artifact in the libraries directory
+ */
+function getArtifactPath(name) {
+  return path.join(LIBRARIES_DIR, parseLibraryPath({ name }));
+}
+
+/**
+ * Read the Main-Class of a processor JAR from its manifest
+ */
+function getJarMainClass(jarPath) {
+  const manifest = new AdmZip(jarPath).readAsText("META-INF/MANIFEST.MF");
+  const match = manifest.match(/^Main-Class:\s*(.+?)\s*$/m);
+  if (!match) {
+    throw new Error(`No Main-Class in ${path.basename(jarPath)}`);
+  }
+  return match[1];
+}
+
+/**
+ * Run a Java program and reject with the tail of its output if it fails
+ */
+function runJava(javaPath, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(javaPath, args, { cwd: MINECRAFT_DIR });
+    let output = "";
+
+    const collect = (chunk) => {
+      output = (output + chunk.toString()).slice(-4000);
+    };
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`exited with code ${code}\n${output.trim().split("\n").slice(-10).join("\n")}`));
+      }
+    });
+  });
+}
+
+/**
+ * Pre-1.13 installers carry the version JSON in `versionInfo` and the Forge JAR itself,
+ * which only has to be copied into the libraries directory
+ */
+function installLegacyForge(zip, profile, gameVersion) {
+  const forgeJarPath = getArtifactPath(profile.install.path);
+  const forgeJarEntry = zip.getEntry(profile.install.filePath);
+  if (!forgeJarEntry) {
+    throw new Error(`Installer is missing ${profile.install.filePath}`);
+  }
+
+  fs.mkdirSync(path.dirname(forgeJarPath), { recursive: true });
+  fs.writeFileSync(forgeJarPath, forgeJarEntry.getData());
+
+  const versionJson = { ...profile.versionInfo };
+  // Libraries only the server needs are flagged with clientreq: false
+  versionJson.libraries = (versionJson.libraries || []).filter(library => library.clientreq !== false);
+  versionJson.inheritsFrom = versionJson.inheritsFrom || profile.install.minecraft || gameVersion;
+  return versionJson;
+}
+
+/**
+ * 1.13+ installers: download the libraries both JSONs need, then run the processors that
+ * patch the client JAR and check every output they declare
+ */
+async function installModernForge(zip, profile, installerPath, gameVersion, options = {}) {
+  const { signal, onProgress } = options;
+  const versionJsonName = profile.json.replace(/^\//, "");
+  const versionJsonText = zip.readAsText(versionJsonName);
+  if (!versionJsonText) {
+    throw new Error(`Installer is missing ${versionJsonName}`);
+  }
+  const versionJson = JSON.parse(versionJsonText);
+
+  // Libraries shipped inside the installer (with an empty download URL)
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory || !entry.entryName.startsWith("maven/")) continue;
+
+    const targetPath = path.join(LIBRARIES_DIR, entry.entryName.substring("maven/".length));
+    if (!fs.existsSync(targetPath)) {
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.writeFileSync(targetPath, entry.getData());
+    }
+  }
+
+  const vanilla = await getVersionData(profile.minecraft || gameVersion);
+  const clientJar = path.join(VERSIONS_DIR, vanilla.version, `${vanilla.version}.jar`);
+  const client = vanilla.versionData.downloads.client;
+
+  const tasks = [
+    { name: `${vanilla.version}.jar`, path: clientJar, url: client.url, sha1: client.sha1, size: client.size },
+    ...getLibraryFiles({ libraries: [...(profile.libraries || []), ...(versionJson.libraries || [])] }),
+  ];
+
+  const result = await downloadAll(tasks, {
+    signal,
+    phase: "loader",
+    onProgress: (progress) => onProgress && onProgress({ ...progress, percent: progress.percent * 0.6 }),
+  });
+
+  if (result.failed.length > 0) {
+    throw new Error(`Failed to download ${result.failed[0].name}: ${result.failed[0].error}`);
+  }
+
+  const processors = (profile.processors || []).filter(processor => !processor.sides || processor.sides.includes("client"));
+  if (processors.length === 0) {
+    return versionJson;
+  }
+
+  const requiredJavaVersion = getRequiredJavaVersion(vanilla.versionData);
+  let java = selectBestJavaForVersion(requiredJavaVersion, await getAvailableJavaInstallations());
+  const runtimeComponent = getJavaRuntimeComponent(vanilla.versionData, requiredJavaVersion);
+  if (!java && runtimeComponent && getRuntimePlatform()) {
+    java = await installJavaRuntime(runtimeComponent, { signal, onProgress });
+  }
+  if (!java) {
+    throw new Error(`No compatible Java found to run the installer for Minecraft ${vanilla.version}`);
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "voxel-forge-"));
+
+  try {
+    const data = {
+      SIDE: "client",
+      MINECRAFT_JAR: clientJar,
+      MINECRAFT_VERSION: vanilla.version,
+      ROOT: MINECRAFT_DIR,
+      INSTALLER: installerPath,
+      LIBRARY_DIR: LIBRARIES_DIR,
+    };
+
+    // Values are an artifact ("[...]"), a literal ("'...'") or a file inside the installer
+    for (const [key, value] of Object.entries(profile.data || {})) {
+      const clientValue = value.client;
+      if (clientValue.startsWith("[") && clientValue.endsWith("]")) {
+        data[key] = getArtifactPath(clientValue.slice(1, -1));
+      } else if (clientValue.startsWith("'") && clientValue.endsWith("'")) {
+        data[key] = clientValue.slice(1, -1);
+      } else {
+        const entryName = clientValue.replace(/^\//, "");
+        const entryData = zip.readFile(entryName);
+        if (!entryData) {
+          throw new Error(`Installer is missing ${entryName}`);
+        }
+        const targetPath = path.join(tempDir, entryName);
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        fs.writeFileSync(targetPath, entryData);
+        data[key] = targetPath;
+      }
+    }
+
+    const resolveValue = (value) => {
+      if (value.startsWith("[") && value.endsWith("]")) return getArtifactPath(value.slice(1, -1));
+      if (value.startsWith("'") && value.endsWith("'")) return value.slice(1, -1);
+      return value.replace(/\{(\w+)\}/g, (match, key) => (data[key] !== undefined ? data[key] : match));
+    };
+
+    for (let i = 0; i < processors.length; i++) {
+      if (signal && signal.aborted) {
+        throw new Error("Installation cancelled");
+      }
+
+      const processor = processors[i];
+      const outputs = Object.entries(processor.outputs || {}).map(([file, sha1]) => ({
+        path: resolveValue(file),
+        sha1: resolveValue(sha1),
+      }));
+
+      if (onProgress) {
+        onProgress({ phase: "loader", file: processor.jar, percent: 60 + (i / processors.length) * 40 });
+      }
+
+      const outputsValid = async () => {
+        for (const output of outputs) {
+          if (!fs.existsSync(output.path) || (await getFileSha1(output.path)) !== output.sha1.toLowerCase()) {
+            return false;
+          }
+        }
+        return true;
+      };
+
+      if (outputs.length > 0 && await outputsValid()) {
+        console.log(`✓ Processor ${processor.jar} is up to date`);
+        continue;
+      }
+
+      const processorJar = getArtifactPath(processor.jar);
+      const classPath = [processor.jar, ...(processor.classpath || [])].map(getArtifactPath).join(path.delimiter);
+      const args = (processor.args || []).map(resolveValue);
+
+      console.log(`⚙️  Running processor ${processor.jar}`);
+      try {
+        await runJava(java.path, ["-cp", classPath, getJarMainClass(processorJar), ...args]);
+      } catch (error) {
+        throw new Error(`Processor ${processor.jar} failed: ${error.message}`);
+      }
+
+      for (const output of outputs) {
+        if (!fs.existsSync(output.path)) {
+          throw new Error(`Processor ${processor.jar} did not create ${path.basename(output.path)}`);
+        }
+        const actualSha1 = await getFileSha1(output.path);
+        if (actualSha1 !== output.sha1.toLowerCase()) {
+          fs.unlinkSync(output.path);
+          throw new Error(
+            `Processor ${processor.jar} produced an invalid ${path.basename(output.path)}: ` +
+            `expected ${output.sha1}, got ${actualSha1}`
+          );
+        }
+      }
+    }
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  return versionJson;
+}
+
+/**
+ * Download a Forge or NeoForge installer, install everything it needs and register the
+ * result as the version `versionId`, which inherits from the vanilla version
+ *
+ * Options: `mavenUrl`, `signal` (AbortSignal) and `onProgress(progress)`.
+ */
+async function installForge(type, gameVersion, loaderVersion, versionId, options = {}) {
+  const artifact = getInstallerArtifact(type, gameVersion);
+  const fullVersion = getFullVersion(type, gameVersion, loaderVersion);
+  const installerName = `${artifact.name}-${fullVersion}-installer.jar`;
+  const installerPath = path.join(LIBRARIES_DIR, artifact.path, fullVersion, installerName);
+
+  const installerResult = await downloadAll([{
+    name: installerName,
+    path: installerPath,
+    url: `${options.mavenUrl}/${artifact.path}/${fullVersion}/${installerName}`,
+  }], { signal: options.signal, phase: "loader" });
+
+  if (installerResult.failed.length > 0) {
+    throw new Error(`Failed to download ${installerName}: ${installerResult.failed[0].error}`);
+  }
+
+  const zip = new AdmZip(installerPath);
+  const profileText = zip.readAsText("install_profile.json");
+  if (!profileText) {
+    throw new Error(`${installerName} has no install_profile.json`);
+  }
+  const profile = JSON.parse(profileText);
+
+  const versionJson = profile.install && profile.versionInfo
+    ? installLegacyForge(zip, profile, gameVersion)
+    : await installModernForge(zip, profile, installerPath, gameVersion, options);
+
+  versionJson.id = versionId;
+  versionJson.inheritsFrom = versionJson.inheritsFrom || gameVersion;
+
+  const versionJsonPath = path.join(VERSIONS_DIR, versionId, `${versionId}.json`);
+  fs.mkdirSync(path.dirname(versionJsonPath), { recursive: true });
+  fs.writeFileSync(versionJsonPath, JSON.stringify(versionJson, null, 2));
+
+  return versionId;
+}
+
+module.exports = {
+  getForgeVersions,
+  installForge,
+};
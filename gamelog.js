@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+
+const LOG_DIR_NAME = path.join("logs", "launcher");
+const MAX_SESSION_LOGS = 10;
+const LEVELS = ["TRACE", "DEBUG", "INFO", "WARN", "ERROR", "FATAL"];
+
+// Vanilla's plain text layout: "[12:34:56] [Render thread/INFO]: message"
+const PLAIN_LINE_PATTERN = /^\[(\d{2}:\d{2}:\d{2})\] \[([^\]]+?)\/([A-Z]+)\](?: \[([^\]]+)\])?:? (.*)$/;
+const XML_EVENT_PATTERN = /<log4j:Event\b([^>]*)>([\s\S]*?)<\/log4j:Event>/;
+
+function getAttribute(attributes, name) {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+  return match ? decodeXml(match[1]) : null;
+}
+
+function getElementText(body, name) {
+  const match = new RegExp(`<log4j:${name}>(?:<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>|([\\s\\S]*?))</log4j:${name}>`).exec(body);
+  if (!match) return null;
+  return match[1] !== undefined ? match[1] : decodeXml(match[2]);
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function formatTime(date) {
+  return date.toTimeString().slice(0, 8);
+}
+
+function parseXmlEvent(attributes, body, stream) {
+  const timestamp = parseInt(getAttribute(attributes, "timestamp"), 10);
+  const throwable = getElementText(body, "Throwable");
+  const message = (getElementText(body, "Message") || "").replace(/\s+$/, "");
+
+  return {
+    time: formatTime(isNaN(timestamp) ? new Date() : new Date(timestamp)),
+    level: getAttribute(attributes, "level") || "INFO",
+    thread: getAttribute(attributes, "thread"),
+    logger: getAttribute(attributes, "logger"),
+    message: throwable ? `${message}\n${throwable.replace(/\s+$/, "")}` : message,
+    stream,
+  };
+}
+
+function parsePlainLine(line, stream, previousLevel) {
+  const match = PLAIN_LINE_PATTERN.exec(line);
+  if (match && LEVELS.includes(match[3])) {
+    return { time: match[1], level: match[3], thread: match[2], logger: match[4] || null, message: match[5], stream };
+  }
+
+  // Stack trace lines and other unformatted output keep the level of the line they belong to
+  const continuation = /^\s+at |^Caused by: |^\s+\.\.\. \d+ more/.test(line);
+  return {
+    time: formatTime(new Date()),
+    level: continuation && previousLevel ? previousLevel : stream === "stderr" ? "ERROR" : "INFO",
+    thread: null,
+    logger: null,
+    message: line,
+    stream,
+  };
+}
+
+/**
+ * Turn the game's stdout/stderr chunks into log entries. Understands both the plain
+ * text layout and the log4j XML layout the version's logging config switches to.
+ * Entries are `{ time, level, thread, logger, message, stream }`.
+ */
+function createLogParser(onEntry) {
+  const buffers = { stdout: "", stderr: "" };
+  let previousLevel = null;
+
+  function emit(entry) {
+    previousLevel = entry.level;
+    onEntry(entry);
+  }
+
+  function drain(stream, flush) {
+    let buffer = buffers[stream];
+
+    while (buffer.length > 0) {
+      const eventStart = buffer.indexOf("<log4j:Event");
+      const newline = buffer.indexOf("\n");
+
+      if (eventStart !== -1 && (newline === -1 || eventStart < newline)) {
+        if (eventStart > 0) {
+          // Text printed on the same line before the event
+          const text = buffer.slice(0, eventStart).trim();
+          if (text) emit(parsePlainLine(text, stream, previousLevel));
+          buffer = buffer.slice(eventStart);
+          continue;
+        }
+
+        const match = XML_EVENT_PATTERN.exec(buffer);
+        if (!match) break; // Event not complete yet
+
+        emit(parseXmlEvent(match[1], match[2], stream));
+        buffer = buffer.slice(match.index + match[0].length);
+        continue;
+      }
+
+      if (newline === -1) {
+        if (flush) {
+          emit(parsePlainLine(buffer.replace(/\r$/, ""), stream, previousLevel));
+          buffer = "";
+        }
+        break;
+      }
+
+      const line = buffer.slice(0, newline).replace(/\r$/, "");
+      buffer = buffer.slice(newline + 1);
+      if (line.trim()) emit(parsePlainLine(line, stream, previousLevel));
+    }
+
+    buffers[stream] = buffer;
+  }
+
+  return {
+    write(chunk, stream = "stdout") {
+      buffers[stream] += chunk.toString();
+      drain(stream, false);
+    },
+    end() {
+      drain("stdout", true);
+      drain("stderr", true);
+    },
+  };
+}
+
+/**
+ * Format an entry the way vanilla writes latest.log
+ */
+function formatLogEntry(entry) {
+  const source = entry.thread ? `${entry.thread}/${entry.level}` : entry.level;
+  return `[${entry.time}] [${source}]: ${entry.message}`;
+}
+
+function removeOldSessionLogs(logDir) {
+  const logs = fs.readdirSync(logDir)
+    .filter(file => /^launch-.*\.log$/.test(file))
+    .sort();
+
+  for (const file of logs.slice(0, Math.max(0, logs.length - MAX_SESSION_LOGS + 1))) {
+    fs.rmSync(path.join(logDir, file), { force: true });
+  }
+}
+
+/**
+ * Open a new log file for this launch under `<gameDir>/logs/launcher`, keeping the
+ * last MAX_SESSION_LOGS sessions
+ */
+function createSessionLog(gameDir) {
+  const logDir = path.join(gameDir, LOG_DIR_NAME);
+  fs.mkdirSync(logDir, { recursive: true });
+  removeOldSessionLogs(logDir);
+
+  const stamp = new Date().toISOString().replace(/\..+$/, "").replace(/:/g, "-").replace("T", "_");
+  const logPath = path.join(logDir, `launch-${stamp}.log`);
+  const stream = fs.createWriteStream(logPath, { flags: "a" });
+
+  return {
+    path: logPath,
+    write(entry) {
+      stream.write(formatLogEntry(entry) + "\n");
+    },
+    close() {
+      return new Promise(resolve => stream.end(resolve));
+    },
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createLogParser,
+  createSessionLog,
+  formatLogEntry,
+};
@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+
+const MINECRAFT_DIR = path.join(os.homedir(), ".minecraft-launcher");
+const HISTORY_FILE = path.join(MINECRAFT_DIR, "history.json");
+
+const CSV_COLUMNS = [
+  "id",
+  "instanceId",
+  "instanceName",
+  "version",
+  "account",
+  "accountType",
+  "javaPath",
+  "javaVersion",
+  "startedAt",
+  "endedAt",
+  "durationSeconds",
+  "exitCode",
+  "crashed",
+  "crashCause",
+  "interrupted",
+  "error",
+];
+
+/**
+ * Load the launch history from disk
+ */
+function loadHistory() {
+  try {
+    if (!fs.existsSync(HISTORY_FILE)) {
+      return { sessions: [] };
+    }
+    const parsed = JSON.parse(fs.readFileSync(HISTORY_FILE, "utf8"));
+    return { sessions: parsed.sessions || [] };
+  } catch (error) {
+    console.error("Error loading launch history:", error);
+    return { sessions: [] };
+  }
+}
+
+/**
+ * Save the launch history to disk
+ */
+function saveHistory(data) {
+  try {
+    fs.mkdirSync(MINECRAFT_DIR, { recursive: true });
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error("Error saving launch history:", error);
+  }
+}
+
+/**
+ * Record the start of a launch. Returns the session, to be completed with `updateSession` and `endSession`.
+ * Callers stamp `startedAt` again once the game's process starts, so downloads don't count as playtime.
+ */
+function startSession({ instance, version, account }) {
+  const data = loadHistory();
+
+  const session = {
+    id: crypto.randomUUID(),
+    instanceId: instance.id,
+    instanceName: instance.name,
+    version,
+    account: account ? account.username : null,
+    accountType: account ? account.type : null,
+    javaPath: null,
+    javaVersion: null,
+    startedAt: Date.now(),
+    updatedAt: Date.now(),
+    endedAt: null,
+    exitCode: null,
+    crashed: false,
+    crashCause: null,
+    interrupted: false,
+    error: null,
+  };
+
+  data.sessions.push(session);
+  saveHistory(data);
+  return session;
+}
+
+function updateSession(id, changes) {
+  const data = loadHistory();
+  const session = data.sessions.find(entry => entry.id === id);
+  if (!session) return null;
+
+  Object.assign(session, changes, { updatedAt: Date.now() });
+  saveHistory(data);
+  return session;
+}
+
+/**
+ * Record how a launch ended: `{ exitCode, crash }` once the game exits, or `{ error }` when it never started
+ */
+function endSession(id, { exitCode = null, crash = null, error = null } = {}) {
+  return updateSession(id, {
+    endedAt: Date.now(),
+    exitCode,
+    crashed: Boolean(crash),
+    crashCause: crash ? crash.signature || crash.cause : null,
+    interrupted: false,
+    error,
+  });
+}
+
+/**
+ * End the sessions the launcher lost track of: at `endedAt` when it quits with games running,
+ * or at their last update for sessions left open by a launcher that crashed. Returns how many were closed.
+ */
+function closeOpenSessions(endedAt = null) {
+  const data = loadHistory();
+  const open = data.sessions.filter(session => !session.endedAt);
+  if (open.length === 0) return 0;
+
+  for (const session of open) {
+    session.endedAt = endedAt || session.updatedAt || session.startedAt;
+    session.interrupted = true;
+  }
+  saveHistory(data);
+  return open.length;
+}
+
+function getSessionDuration(session) {
+  // Launches that failed before the game started don't count as playtime
+  if (!session.endedAt || session.error) return 0;
+  return Math.max(0, session.endedAt - session.startedAt);
+}
+
+/**
+ * Past launches, newest first
+ */
+function getHistory({ instanceId = null, limit = null } = {}) {
+  let sessions = loadHistory().sessions
+    .filter(session => !instanceId || session.instanceId === instanceId)
+    .sort((a, b) => b.startedAt - a.startedAt);
+
+  if (limit) sessions = sessions.slice(0, limit);
+  return sessions;
+}
+
+/**
+ * Total playtime plus per-instance and per-version breakdowns, times in milliseconds
+ */
+function getPlaytimeStats() {
+  const stats = { totalPlaytime: 0, launches: 0, crashes: 0, instances: {}, versions: {} };
+
+  for (const session of loadHistory().sessions) {
+    const duration = getSessionDuration(session);
+    stats.totalPlaytime += duration;
+    stats.launches++;
+    if (session.crashed) stats.crashes++;
+
+    const instance = stats.instances[session.instanceId] ||
+      (stats.instances[session.instanceId] = { name: session.instanceName, playtime: 0, launches: 0, crashes: 0, lastPlayed: null });
+    instance.name = session.instanceName;
+    instance.playtime += duration;
+    instance.launches++;
+    if (session.crashed) instance.crashes++;
+    instance.lastPlayed = Math.max(instance.lastPlayed || 0, session.startedAt);
+
+    if (session.version) {
+      stats.versions[session.version] = (stats.versions[session.version] || 0) + duration;
+    }
+  }
+
+  return stats;
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * The whole history as "json" or "csv" text
+ */
+function exportHistory(format = "json") {
+  const sessions = getHistory().reverse();
+
+  if (format === "json") {
+    return JSON.stringify(sessions, null, 2);
+  }
+  if (format !== "csv") {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const rows = sessions.map(session => CSV_COLUMNS.map(column => {
+    if (column === "startedAt" || column === "endedAt") {
+      return toCsvValue(session[column] ? new Date(session[column]).toISOString() : null);
+    }
+    if (column === "durationSeconds") {
+      return toCsvValue(session.endedAt ? Math.round(getSessionDuration(session) / 1000) : null);
+    }
+    return toCsvValue(session[column]);
+  }).join(","));
+
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+module.exports = {
+  HISTORY_FILE,
+  startSession,
+  updateSession,
+  endSession,
+  closeOpenSessions,
+  getHistory,
+  getPlaytimeStats,
+  exportHistory,
+};
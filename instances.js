@@ -0,0 +1,321 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+
+const MINECRAFT_DIR = path.join(os.homedir(), ".minecraft-launcher");
+const INSTANCES_DIR = path.join(MINECRAFT_DIR, "instances");
+const INSTANCES_FILE = path.join(MINECRAFT_DIR, "instances.json");
+const DEFAULT_INSTANCE_ID = "default";
+
+// Settings each instance can override; null means "use the launcher default"
+const DEFAULT_INSTANCE_SETTINGS = {
+  version: null, // Minecraft version, null = latest release
+  loader: null, // Mod loader, e.g. { type: "fabric", version: "0.15.11" }
+  ramAllocation: null, // MB
+  javaPath: null, // Java executable, null = pick automatically
+  jvmArgs: "", // Extra JVM arguments
+  gcPreset: null, // Garbage collector flags: "g1", "zgc" or "aikar", null = JVM default
+};
+
+const EDITABLE_SETTINGS = Object.keys(DEFAULT_INSTANCE_SETTINGS);
+
+/**
+ * The instance created on first run. It keeps using the shared game directory so
+ * saves and options from before instances existed are still there.
+ */
+function createDefaultInstance() {
+  return {
+    id: DEFAULT_INSTANCE_ID,
+    name: "Default",
+    ...DEFAULT_INSTANCE_SETTINGS,
+    directory: MINECRAFT_DIR,
+    createdAt: Date.now(),
+    lastPlayed: null,
+  };
+}
+
+/**
+ * Load all instances from disk
+ */
+function loadInstances() {
+  try {
+    if (!fs.existsSync(INSTANCES_FILE)) {
+      return { instances: [createDefaultInstance()], selectedInstance: DEFAULT_INSTANCE_ID };
+    }
+
+    const data = fs.readFileSync(INSTANCES_FILE, "utf8");
+    const parsed = JSON.parse(data);
+
+    return {
+      instances: (parsed.instances || []).map(instance => ({ ...DEFAULT_INSTANCE_SETTINGS, ...instance })),
+      selectedInstance: parsed.selectedInstance || null,
+    };
+  } catch (error) {
+    console.error("Error loading instances:", error);
+    return { instances: [createDefaultInstance()], selectedInstance: DEFAULT_INSTANCE_ID };
+  }
+}
+
+/**
+ * Save instances to disk
+ */
+function saveInstances(instancesData) {
+  try {
+    const dir = path.dirname(INSTANCES_FILE);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.writeFileSync(INSTANCES_FILE, JSON.stringify(instancesData, null, 2));
+    return true;
+  } catch (error) {
+    console.error("Error saving instances:", error);
+    return false;
+  }
+}
+
+/**
+ * Get the game directory of an instance
+ */
+function getInstanceDirectory(instance) {
+  return instance.directory || path.join(INSTANCES_DIR, instance.id);
+}
+
+function validateInstanceName(name) {
+  if (!name || name.trim().length === 0) {
+    throw new Error("Instance name cannot be empty");
+  }
+
+  if (name.trim().length > 64) {
+    throw new Error("Instance name must be 64 characters or less");
+  }
+
+  return name.trim();
+}
+
+/**
+ * Turn an instance name into a unique, filesystem-safe id
+ */
+function generateInstanceId(name, instances) {
+  const base = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, 32) || "instance";
+
+  const taken = new Set(instances.map(instance => instance.id));
+  let id = base;
+  while (taken.has(id) || fs.existsSync(path.join(INSTANCES_DIR, id))) {
+    id = `${base}-${crypto.randomBytes(2).toString("hex")}`;
+  }
+  return id;
+}
+
+function pickSettings(settings = {}) {
+  const picked = {};
+  for (const key of EDITABLE_SETTINGS) {
+    if (settings[key] !== undefined) {
+      picked[key] = settings[key];
+    }
+  }
+  return picked;
+}
+
+function findInstanceOrThrow(data, id) {
+  const instance = data.instances.find(inst => inst.id === id);
+  if (!instance) {
+    throw new Error("Instance not found");
+  }
+  return instance;
+}
+
+/**
+ * Create a new instance with its own game directory
+ */
+function createInstance({ name, ...settings } = {}) {
+  const data = loadInstances();
+  const instanceName = validateInstanceName(name);
+
+  const instance = {
+    id: generateInstanceId(instanceName, data.instances),
+    name: instanceName,
+    ...DEFAULT_INSTANCE_SETTINGS,
+    ...pickSettings(settings),
+    createdAt: Date.now(),
+    lastPlayed: null,
+  };
+
+  fs.mkdirSync(getInstanceDirectory(instance), { recursive: true });
+
+  data.instances.push(instance);
+  if (!data.selectedInstance) {
+    data.selectedInstance = instance.id;
+  }
+
+  saveInstances(data);
+  return instance;
+}
+
+/**
+ * Rename an instance (its directory keeps the original id)
+ */
+function renameInstance(id, name) {
+  const data = loadInstances();
+  const instance = findInstanceOrThrow(data, id);
+
+  instance.name = validateInstanceName(name);
+
+  saveInstances(data);
+  return instance;
+}
+
+/**
+ * Copy an instance, including everything in its game directory
+ */
+function duplicateInstance(id, name) {
+  const data = loadInstances();
+  const source = findInstanceOrThrow(data, id);
+  const instanceName = validateInstanceName(name || `${source.name} (Copy)`);
+
+  const instance = {
+    ...source,
+    id: generateInstanceId(instanceName, data.instances),
+    name: instanceName,
+    createdAt: Date.now(),
+    lastPlayed: null,
+  };
+  delete instance.directory;
+
+  const sourceDir = getInstanceDirectory(source);
+  const targetDir = getInstanceDirectory(instance);
+
+  if (source.directory === MINECRAFT_DIR) {
+    // The default instance shares its folder with the launcher's own files, only copy the game data
+    fs.mkdirSync(targetDir, { recursive: true });
+    for (const entry of ["saves", "mods", "resourcepacks", "shaderpacks", "config", "options.txt", "servers.dat"]) {
+      const entryPath = path.join(sourceDir, entry);
+      if (fs.existsSync(entryPath)) {
+        fs.cpSync(entryPath, path.join(targetDir, entry), { recursive: true });
+      }
+    }
+  } else if (fs.existsSync(sourceDir)) {
+    fs.cpSync(sourceDir, targetDir, { recursive: true });
+  } else {
+    fs.mkdirSync(targetDir, { recursive: true });
+  }
+
+  data.instances.push(instance);
+  saveInstances(data);
+  return instance;
+}
+
+/**
+ * Delete an instance and its game directory
+ */
+function deleteInstance(id) {
+  const data = loadInstances();
+  const instance = findInstanceOrThrow(data, id);
+  const instanceDir = getInstanceDirectory(instance);
+
+  // Never remove anything outside the instances folder (the default instance lives in the launcher root)
+  if (path.resolve(instanceDir).startsWith(path.resolve(INSTANCES_DIR) + path.sep) && fs.existsSync(instanceDir)) {
+    fs.rmSync(instanceDir, { recursive: true, force: true });
+  }
+
+  data.instances = data.instances.filter(inst => inst.id !== id);
+
+  if (data.selectedInstance === id) {
+    data.selectedInstance = data.instances.length > 0 ? data.instances[0].id : null;
+  }
+
+  saveInstances(data);
+  return data;
+}
+
+/**
+ * Change an instance's version, loader, RAM, Java, JVM arguments or GC preset
+ */
+function updateInstance(id, settings) {
+  const data = loadInstances();
+  const instance = findInstanceOrThrow(data, id);
+
+  Object.assign(instance, pickSettings(settings));
+
+  saveInstances(data);
+  return instance;
+}
+
+/**
+ * Select an instance
+ */
+function selectInstance(id) {
+  const data = loadInstances();
+  const instance = data.instances.find(inst => inst.id === id);
+
+  if (instance) {
+    data.selectedInstance = id;
+    saveInstances(data);
+    return instance;
+  }
+
+  return null;
+}
+
+/**
+ * Get an instance by id
+ */
+function getInstance(id) {
+  const data = loadInstances();
+  return data.instances.find(inst => inst.id === id) || null;
+}
+
+/**
+ * Get the currently selected instance
+ */
+function getSelectedInstance() {
+  const data = loadInstances();
+  if (!data.selectedInstance) {
+    return null;
+  }
+  return data.instances.find(inst => inst.id === data.selectedInstance) || null;
+}
+
+/**
+ * Get all instances
+ */
+function getAllInstances() {
+  return loadInstances().instances;
+}
+
+/**
+ * Remember when an instance was last launched
+ */
+function markInstancePlayed(id) {
+  const data = loadInstances();
+  const instance = data.instances.find(inst => inst.id === id);
+
+  if (instance) {
+    instance.lastPlayed = Date.now();
+    saveInstances(data);
+  }
+
+  return instance || null;
+}
+
+module.exports = {
+  INSTANCES_DIR,
+  loadInstances,
+  saveInstances,
+  getInstanceDirectory,
+  createInstance,
+  renameInstance,
+  duplicateInstance,
+  deleteInstance,
+  updateInstance,
+  selectInstance,
+  getInstance,
+  getSelectedInstance,
+  getAllInstances,
+  markInstancePlayed,
+};
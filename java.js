@@ -0,0 +1,381 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { execFile } = require("child_process");
+const { findManagedJavaInstallations, parseMajorVersion, readReleaseFile } = require("./runtime");
+
+const MINECRAFT_DIR = path.join(os.homedir(), ".minecraft-launcher");
+const JAVA_CACHE_FILE = path.join(MINECRAFT_DIR, "java_cache.json");
+const PROBE_TIMEOUT = 10000; // ms
+const JAVA_EXECUTABLE = os.platform() === "win32" ? "java.exe" : "java";
+
+// Probe results keyed by the real path of the executable, reused while its mtime doesn't change
+let javaCache = null;
+
+function loadJavaCache() {
+  if (javaCache) return javaCache;
+
+  try {
+    javaCache = fs.existsSync(JAVA_CACHE_FILE) ? JSON.parse(fs.readFileSync(JAVA_CACHE_FILE, "utf8")) : {};
+  } catch (error) {
+    console.warn(`Ignoring unreadable Java cache: ${error.message}`);
+    javaCache = {};
+  }
+  return javaCache;
+}
+
+function saveJavaCache() {
+  try {
+    fs.mkdirSync(path.dirname(JAVA_CACHE_FILE), { recursive: true });
+    fs.writeFileSync(JAVA_CACHE_FILE, JSON.stringify(javaCache, null, 2));
+  } catch (error) {
+    console.warn(`Failed to save Java cache: ${error.message}`);
+  }
+}
+
+/**
+ * Forget every probe result so the next scan runs each Java again
+ */
+function clearJavaCache() {
+  javaCache = {};
+  saveJavaCache();
+}
+
+function normalizeJavaArch(arch) {
+  switch ((arch || "").toLowerCase()) {
+    case "amd64":
+    case "x86_64":
+    case "x64":
+      return "x64";
+    case "aarch64":
+    case "arm64":
+      return "arm64";
+    case "x86":
+    case "i386":
+    case "i486":
+    case "i586":
+    case "i686":
+      return "x86";
+    case "arm":
+    case "aarch32":
+      return "arm32";
+    default:
+      return arch || "unknown";
+  }
+}
+
+/**
+ * Find an executable name like "java" or "java17" in the PATH
+ */
+function resolveFromPath(command) {
+  const extensions = os.platform() === "win32" && !command.endsWith(".exe") ? [".exe", ""] : [""];
+
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    if (!dir) continue;
+    for (const extension of extensions) {
+      const candidate = path.join(dir, command + extension);
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Ask the JVM itself through -XshowSettings:properties, which prints to stderr
+ */
+function readJavaProperties(javaPath) {
+  // javaw.exe has no console output, its java.exe sibling reports the same runtime
+  const probePath = javaPath.replace(/javaw\.exe$/i, "java.exe");
+
+  return new Promise((resolve) => {
+    execFile(
+      probePath,
+      ["-XshowSettings:properties", "-version"],
+      { timeout: PROBE_TIMEOUT, windowsHide: true },
+      (error, stdout, stderr) => {
+        const output = `${stdout || ""}${stderr || ""}`;
+        const properties = {};
+        for (const line of output.split(/\r?\n/)) {
+          const match = line.match(/^\s+([\w.]+) = (.*)$/);
+          if (match) properties[match[1]] = match[2].trim();
+        }
+
+        if (!properties["java.version"]) {
+          // Very old JVMs don't know -XshowSettings, fall back to the version banner
+          const banner = output.match(/version "([^"]+)"/);
+          if (!banner) {
+            resolve(null);
+            return;
+          }
+          properties["java.version"] = banner[1];
+          properties["sun.arch.data.model"] = /64-Bit/i.test(output) ? "64" : "32";
+        }
+        resolve(properties);
+      }
+    );
+  });
+}
+
+/**
+ * Describe a Java executable: major and full version, vendor, architecture and 32/64-bit.
+ * Results are cached by path and modification time, so unchanged installs are never run twice.
+ */
+async function getJavaInfo(javaPath) {
+  const resolvedPath = path.isAbsolute(javaPath) ? javaPath : resolveFromPath(javaPath);
+  if (!resolvedPath || !fs.existsSync(resolvedPath)) return null;
+
+  let realPath;
+  let mtimeMs;
+  try {
+    realPath = fs.realpathSync(resolvedPath);
+    mtimeMs = fs.statSync(realPath).mtimeMs;
+  } catch {
+    return null;
+  }
+
+  const cache = loadJavaCache();
+  const cached = cache[realPath];
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.info ? { ...cached.info, path: resolvedPath } : null;
+  }
+
+  // <home>/bin/java, on macOS <bundle>/Contents/Home/bin/java
+  const javaHome = path.dirname(path.dirname(realPath));
+  const release = readReleaseFile(javaHome);
+  let info = null;
+
+  if (release && release.JAVA_VERSION && release.OS_ARCH) {
+    const arch = normalizeJavaArch(release.OS_ARCH);
+    info = {
+      version: parseMajorVersion(release.JAVA_VERSION),
+      fullVersion: release.JAVA_VERSION,
+      vendor: release.IMPLEMENTOR || null,
+      arch,
+      bits: arch === "x64" || arch === "arm64" ? 64 : 32,
+      home: javaHome,
+    };
+  } else {
+    const properties = await readJavaProperties(resolvedPath);
+    if (properties) {
+      const arch = normalizeJavaArch(properties["os.arch"]);
+      info = {
+        version: parseMajorVersion(properties["java.version"]),
+        fullVersion: properties["java.version"],
+        vendor: properties["java.vendor"] || null,
+        arch,
+        bits: parseInt(properties["sun.arch.data.model"], 10) || (arch === "x64" || arch === "arm64" ? 64 : 32),
+        home: properties["java.home"] || javaHome,
+      };
+    }
+  }
+
+  if (info && !info.version) info = null;
+
+  cache[realPath] = { mtimeMs, info };
+  saveJavaCache();
+  return info ? { ...info, path: resolvedPath } : null;
+}
+
+/**
+ * Guess a vendor from an install folder name, for JDKs whose release file doesn't name one
+ */
+function guessVendor(folderName) {
+  const name = folderName.toLowerCase();
+  if (name.includes("temurin") || name.includes("adoptium")) return "Adoptium";
+  if (name.includes("zulu")) return "Azul Zulu";
+  if (name.includes("corretto")) return "Amazon Corretto";
+  if (name.includes("liberica")) return "Liberica";
+  if (name.includes("graalvm")) return "GraalVM";
+  if (name.includes("openjdk")) return "OpenJDK";
+  if (name.includes("oracle")) return "Oracle";
+  return "Unknown";
+}
+
+/**
+ * List `<base>/<folder>/<binPath>` for every folder that contains it
+ */
+function listJavaFolders(basePath, binPath) {
+  try {
+    if (!fs.existsSync(basePath)) return [];
+
+    return fs.readdirSync(basePath)
+      .map(folder => ({ folder, javaPath: path.join(basePath, folder, ...binPath) }))
+      .filter(({ javaPath }) => fs.existsSync(javaPath));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Paths worth probing for a system-wide Java, each with the source it was found through
+ */
+function getSystemJavaCandidates() {
+  const candidates = [];
+
+  if (process.env.JAVA_HOME) {
+    candidates.push({ javaPath: path.join(process.env.JAVA_HOME, "bin", JAVA_EXECUTABLE), source: "JAVA_HOME" });
+  }
+
+  if (os.platform() === "win32") {
+    const bases = [
+      process.env["ProgramFiles"] || "C:\\Program Files",
+      process.env["ProgramFiles(x86)"] || "C:\\Program Files (x86)",
+    ];
+    const vendorFolders = [
+      "Eclipse Adoptium", "Temurin", "Java", "OpenJDK", "Zulu", "Azul", "Amazon Corretto", "Corretto",
+      "Microsoft", "BellSoft", "Liberica", "GraalVM", "SapMachine", "Semeru", "RedHat",
+    ];
+
+    for (const base of bases) {
+      for (const vendorFolder of vendorFolders) {
+        for (const { javaPath } of listJavaFolders(path.join(base, vendorFolder), ["bin", "java.exe"])) {
+          candidates.push({ javaPath, source: vendorFolder });
+        }
+      }
+
+      // jdk/jre folders straight in Program Files
+      for (const { folder, javaPath } of listJavaFolders(base, ["bin", "java.exe"])) {
+        if (/jdk|jre/i.test(folder)) candidates.push({ javaPath, source: guessVendor(folder) });
+      }
+    }
+  } else if (os.platform() === "darwin") {
+    const macPaths = [
+      "/Library/Java/JavaVirtualMachines",
+      "/System/Library/Java/JavaVirtualMachines",
+      path.join(os.homedir(), "Library/Java/JavaVirtualMachines"),
+    ];
+    for (const basePath of macPaths) {
+      for (const { folder, javaPath } of listJavaFolders(basePath, ["Contents", "Home", "bin", "java"])) {
+        candidates.push({ javaPath, source: guessVendor(folder) });
+      }
+    }
+  } else {
+    const linuxPaths = [
+      "/usr/lib/jvm",
+      "/usr/java",
+      "/opt/java",
+      "/opt/jdk",
+      path.join(os.homedir(), ".sdkman/candidates/java"),
+    ];
+    for (const basePath of linuxPaths) {
+      for (const { folder, javaPath } of listJavaFolders(basePath, ["bin", "java"])) {
+        candidates.push({ javaPath, source: guessVendor(folder) });
+      }
+    }
+  }
+
+  // java and versioned commands like java17 in PATH
+  for (const command of ["java", ...Array.from({ length: 18 }, (_, i) => `java${25 - i}`)]) {
+    const javaPath = resolveFromPath(command);
+    if (javaPath) candidates.push({ javaPath, source: "PATH" });
+  }
+
+  return candidates;
+}
+
+/**
+ * Probe candidates in parallel and drop the ones that aren't a working Java or point
+ * at an executable already listed
+ */
+async function probeCandidates(candidates, extra = {}) {
+  const results = await Promise.all(candidates.map(async (candidate) => {
+    const info = await getJavaInfo(candidate.javaPath);
+    if (!info) return null;
+    return {
+      ...info,
+      vendor: info.vendor || candidate.source,
+      source: candidate.source,
+      ...extra,
+    };
+  }));
+
+  const seen = new Set();
+  return results.filter(java => {
+    if (!java) return false;
+    const realPath = fs.realpathSync(java.path);
+    if (seen.has(realPath)) return false;
+    seen.add(realPath);
+    return true;
+  });
+}
+
+/**
+ * Find Java installed on the system (JAVA_HOME, common install folders and PATH), newest first
+ */
+async function findAllJavaInstallations() {
+  const installations = await probeCandidates(getSystemJavaCandidates());
+  return installations.sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Find the Java runtimes bundled in the launcher's `java/<win|mac|linux>` folder
+ */
+async function findBuiltInJavaInstallations() {
+  const possibleDirs = [
+    process.env.PORTABLE_EXECUTABLE_DIR, // Portable mode
+    path.dirname(process.execPath), // Electron app exe
+    path.dirname(process.argv[0]),
+    process.env.ELECTRON_EXE ? path.dirname(process.env.ELECTRON_EXE) : null,
+    __dirname,
+  ].filter(Boolean);
+
+  const platformFolder = { win32: "win", darwin: "mac", linux: "linux" }[os.platform()];
+  const appDir = possibleDirs.find(dir => fs.existsSync(path.join(dir, "java")));
+
+  if (!appDir || !platformFolder) {
+    return [];
+  }
+
+  const platformJavaDir = path.join(appDir, "java", platformFolder);
+  const executable = os.platform() === "win32" ? "javaw.exe" : "java";
+  const binPaths = [["bin", executable]];
+  if (os.platform() === "darwin") {
+    binPaths.push(["Contents", "Home", "bin", executable]);
+  }
+
+  // Any JDK/JRE folder works, not just ones following Zulu's naming
+  const candidates = binPaths
+    .flatMap(binPath => listJavaFolders(platformJavaDir, binPath))
+    .map(({ javaPath }) => ({ javaPath, source: "Built-in" }));
+
+  const installations = await probeCandidates(candidates, { isBuiltIn: true });
+  console.log(`Found ${installations.length} built-in Java runtime(s) in ${platformJavaDir}`);
+  return installations;
+}
+
+/**
+ * Every Java installation we can use, built-in and launcher-managed Java first so they take priority.
+ * Pass `refresh` to probe every installation again instead of trusting the cache.
+ */
+async function getAvailableJavaInstallations(options = {}) {
+  if (options.refresh) {
+    clearJavaCache();
+  }
+
+  const managedJava = await probeCandidates(
+    findManagedJavaInstallations().map(java => ({ javaPath: java.path, source: java.vendor })),
+    { isBuiltIn: true }
+  );
+
+  const [builtInJava, systemJava] = await Promise.all([
+    findBuiltInJavaInstallations(),
+    findAllJavaInstallations(),
+  ]);
+
+  // Remove duplicates based on path, keeping the first entry so built-in Javas stay marked as built in
+  const unique = new Map();
+  for (const java of [...builtInJava, ...managedJava, ...systemJava]) {
+    if (!unique.has(java.path)) unique.set(java.path, java);
+  }
+  return Array.from(unique.values());
+}
+
+module.exports = {
+  getJavaInfo,
+  clearJavaCache,
+  findAllJavaInstallations,
+  findBuiltInJavaInstallations,
+  getAvailableJavaInstallations,
+};
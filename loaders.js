@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const axios = require("axios");
+const { getForgeVersions, installForge } = require("./forge");
+
+const MINECRAFT_DIR = path.join(os.homedir(), ".minecraft-launcher");
+const VERSIONS_DIR = path.join(MINECRAFT_DIR, "versions");
+const NETWORK_TIMEOUT = 10000; // ms
+
+// Meta servers (Maven repositories for Forge and NeoForge) of the supported mod loaders;
+// each can be pointed at a local mirror through preferences
+const LOADER_META_URLS = {
+  fabric: "https://meta.fabricmc.net/v2",
+  quilt: "https://meta.quiltmc.org/v3",
+  forge: "https://maven.minecraftforge.net",
+  neoforge: "https://maven.neoforged.net/releases",
+};
+
+const LOADER_NAMES = {
+  fabric: "Fabric",
+  quilt: "Quilt",
+  forge: "Forge",
+  neoforge: "NeoForge",
+};
+
+// Loaders installed by running their installer JAR rather than from a meta server profile
+const INSTALLER_LOADERS = ["forge", "neoforge"];
+
+function getMetaUrl(type, options = {}) {
+  if (!LOADER_META_URLS[type]) {
+    throw new Error(`Unsupported mod loader: ${type}`);
+  }
+  return (options.metaUrl || LOADER_META_URLS[type]).replace(/\/+$/, "");
+}
+
+/**
+ * Id of the version a loader is installed as, e.g. "fabric-loader-0.15.11-1.20.1"
+ */
+function getLoaderVersionId(type, gameVersion, loaderVersion) {
+  return `${type}-loader-${loaderVersion}-${gameVersion}`;
+}
+
+/**
+ * List the loader versions available for a Minecraft version, newest first
+ */
+async function getLoaderVersions(type, gameVersion, options = {}) {
+  const metaUrl = getMetaUrl(type, options);
+
+  try {
+    if (INSTALLER_LOADERS.includes(type)) {
+      return await getForgeVersions(type, gameVersion, { mavenUrl: metaUrl });
+    }
+
+    const response = await axios.get(
+      `${metaUrl}/versions/loader/${encodeURIComponent(gameVersion)}`,
+      { timeout: NETWORK_TIMEOUT }
+    );
+
+    return (response.data || []).map(entry => ({
+      version: entry.loader.version,
+      // Quilt doesn't flag stable builds, its betas carry "beta" in the version instead
+      stable: entry.loader.stable !== undefined ? entry.loader.stable : !/beta|alpha|pre|rc/i.test(entry.loader.version),
+    }));
+  } catch (error) {
+    if (error.response && (error.response.status === 400 || error.response.status === 404)) {
+      return [];
+    }
+    throw new Error(`Failed to get ${LOADER_NAMES[type]} versions: ${error.message}`);
+  }
+}
+
+/**
+ * The most recently installed version of a loader for a Minecraft version, or null
+ */
+function findInstalledLoaderVersion(type, gameVersion) {
+  if (!fs.existsSync(VERSIONS_DIR)) return null;
+
+  const prefix = `${type}-loader-`;
+  const suffix = `-${gameVersion}`;
+  const installed = fs.readdirSync(VERSIONS_DIR)
+    .filter(id => id.startsWith(prefix) && id.endsWith(suffix) && id.length > prefix.length + suffix.length)
+    .map(id => path.join(VERSIONS_DIR, id, `${id}.json`))
+    .filter(jsonPath => fs.existsSync(jsonPath))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  if (installed.length === 0) return null;
+
+  const id = path.basename(installed[0], ".json");
+  return id.slice(prefix.length, id.length - suffix.length);
+}
+
+/**
+ * Install a loader for a Minecraft version as a version that `inheritsFrom` the vanilla one.
+ * Fabric and Quilt only need their launcher profile, Forge and NeoForge run their installer.
+ * Without a loader version the latest stable one is used, or the newest installed one when the
+ * meta server can't be reached. Returns the id of the installed version.
+ *
+ * Options: `metaUrl`, plus `signal` and `onProgress` for installer based loaders.
+ */
+async function installLoader(type, gameVersion, loaderVersion, options = {}) {
+  const metaUrl = getMetaUrl(type, options);
+
+  if (loaderVersion) {
+    const versionId = getLoaderVersionId(type, gameVersion, loaderVersion);
+    if (fs.existsSync(path.join(VERSIONS_DIR, versionId, `${versionId}.json`))) {
+      return versionId;
+    }
+  } else {
+    let versions;
+    try {
+      versions = await getLoaderVersions(type, gameVersion, options);
+    } catch (error) {
+      const installedVersion = findInstalledLoaderVersion(type, gameVersion);
+      if (!installedVersion) throw error;
+      console.warn(`⚠️ ${error.message}, using the installed ${LOADER_NAMES[type]} ${installedVersion}`);
+      return getLoaderVersionId(type, gameVersion, installedVersion);
+    }
+    const latest = versions.find(v => v.stable) || versions[0];
+    if (!latest) {
+      throw new Error(`${LOADER_NAMES[type]} is not available for Minecraft ${gameVersion}`);
+    }
+    loaderVersion = latest.version;
+  }
+
+  const versionId = getLoaderVersionId(type, gameVersion, loaderVersion);
+  const versionJsonPath = path.join(VERSIONS_DIR, versionId, `${versionId}.json`);
+  if (fs.existsSync(versionJsonPath)) {
+    return versionId;
+  }
+
+  console.log(`📦 Installing ${LOADER_NAMES[type]} ${loaderVersion} for Minecraft ${gameVersion}...`);
+
+  if (INSTALLER_LOADERS.includes(type)) {
+    await installForge(type, gameVersion, loaderVersion, versionId, { ...options, mavenUrl: metaUrl });
+    console.log(`✅ Installed ${versionId}`);
+    return versionId;
+  }
+
+  let profile;
+  try {
+    const response = await axios.get(
+      `${metaUrl}/versions/loader/${encodeURIComponent(gameVersion)}/${encodeURIComponent(loaderVersion)}/profile/json`,
+      { timeout: NETWORK_TIMEOUT }
+    );
+    profile = response.data;
+  } catch (error) {
+    throw new Error(`Failed to get ${LOADER_NAMES[type]} ${loaderVersion} for Minecraft ${gameVersion}: ${error.message}`);
+  }
+
+  if (!profile || !profile.mainClass || !profile.inheritsFrom) {
+    throw new Error(`Invalid ${LOADER_NAMES[type]} profile for Minecraft ${gameVersion}`);
+  }
+
+  // Keep the directory name and id in sync so the version can be found again offline
+  profile.id = versionId;
+
+  fs.mkdirSync(path.dirname(versionJsonPath), { recursive: true });
+  fs.writeFileSync(versionJsonPath, JSON.stringify(profile, null, 2));
+
+  console.log(`✅ Installed ${versionId}`);
+  return versionId;
+}
+
+module.exports = {
+  LOADER_META_URLS,
+  LOADER_NAMES,
+  getLoaderVersionId,
+  getLoaderVersions,
+  installLoader,
+};
@@ -1,14 +1,28 @@
 //At the top of main.js with other requires
 const { cleanupAuthServer } = require("./msauth");
 
-const { app, BrowserWindow, ipcMain, shell } = require("electron");
+const { app, BrowserWindow, ipcMain, shell, dialog } = require("electron");
 const { microsoftLogin } = require("./msauth")
+const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const { launchMinecraft, getVersions } = require("./minecraft");
+const {
+  launchMinecraft,
+  getVersions,
+  getVersionData,
+  getRequiredJavaVersion,
+  selectBestJavaForVersion,
+  verifyAndRepairVersion
+} = require("./minecraft");
 const { getPreferences, savePreferences } = require("./preferences");
-const { authenticateWithMicrosoft, refreshAccessToken, isTokenExpired } = require("./msauth");
+const {
+  authenticateWithMicrosoft,
+  authenticateWithDeviceCode,
+  ensureFreshAccount,
+  refreshExpiredAccounts
+} = require("./msauth");
 const { 
+  getAccountId,
   addOfflineAccount, 
   updateMicrosoftAccount, 
   getAllAccounts, 
@@ -16,7 +30,65 @@ const {
   getSelectedAccount, 
   removeAccount 
 } = require("./accounts");
-const { findAllJavaInstallations } = require("./minecraft");
+const { getAvailableJavaInstallations, getJavaInfo } = require("./java");
+const { getMemoryInfo, checkLaunchMemory } = require("./memory");
+const { registerProcess, isInstanceRunning, hasRunningGames, listRunning, killGame } = require("./processes");
+const {
+  startSession,
+  updateSession,
+  endSession,
+  closeOpenSessions,
+  getHistory,
+  getPlaytimeStats,
+  exportHistory
+} = require("./history");
+const { getLoaderVersions, installLoader } = require("./loaders");
+const { authenticate, selectProfile, ensureValidYggdrasilAccount, signOut } = require("./yggdrasil");
+const {
+  validateSkin,
+  getSkinProfile,
+  uploadSkin,
+  resetSkin,
+  setActiveCape,
+  listSkinLibrary,
+  getLibrarySkin,
+  readLibrarySkin,
+  addSkinToLibrary,
+  removeSkinFromLibrary,
+  saveSkinFromUrl
+} = require("./skins");
+const {
+  getInstanceDirectory,
+  createInstance,
+  renameInstance,
+  duplicateInstance,
+  deleteInstance,
+  updateInstance,
+  selectInstance,
+  getInstance,
+  getSelectedInstance,
+  getAllInstances,
+  markInstancePlayed
+} = require("./instances");
+
+// Launches between the click and the game's process starting, keyed by instance id. They reserve
+// the instance and let the renderer cancel their downloads.
+const pendingLaunches = new Map();
+
+// Device code login waiting for the user: { controller, verificationUri }
+let activeDeviceLogin = null;
+
+// Authentication server login that owns several profiles, waiting for the user to pick one
+let pendingYggdrasilLogin = null;
+
+// Output of the latest game session, replayed to the log console when it opens
+const MAX_GAME_LOG_ENTRIES = 5000;
+let gameLog = [];
+let gameLogDirectory = null;
+let logWindow = null;
+
+// Diagnosis of the last crash, so the renderer can only open files the launcher found
+let lastCrash = null;
 
 function createWindow() {
   // Load saved window preferences
@@ -40,6 +112,46 @@ function createWindow() {
   });
 
   win.loadFile(path.join(__dirname, "index.html"));
+  return win;
+}
+
+function openLogWindow() {
+  if (logWindow && !logWindow.isDestroyed()) {
+    logWindow.focus();
+    return;
+  }
+
+  logWindow = new BrowserWindow({
+    width: 900,
+    height: 600,
+    title: "Game Log",
+    icon: path.join(__dirname, "build", "Stone-Block.ico"),
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, "preload.js"),
+    },
+  });
+
+  logWindow.on("closed", () => {
+    logWindow = null;
+  });
+
+  logWindow.loadFile(path.join(__dirname, "log.html"));
+}
+
+function sendToLogWindow(channel, payload) {
+  if (logWindow && !logWindow.isDestroyed()) {
+    logWindow.webContents.send(channel, payload);
+  }
+}
+
+function appendGameLog(entry) {
+  gameLog.push(entry);
+  if (gameLog.length > MAX_GAME_LOG_ENTRIES) {
+    gameLog.splice(0, gameLog.length - MAX_GAME_LOG_ENTRIES);
+  }
+  sendToLogWindow("game-log", entry);
 }
 
 //Add this before app.whenReady()
@@ -47,13 +159,30 @@ app.on("before-quit", () => {
   if (typeof cleanupAuthServer === 'function') {
     cleanupAuthServer();
   }
+  // Games still running can't be followed after the launcher is gone
+  closeOpenSessions(Date.now());
 });
 
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+  // Sessions a crashed launcher left open would otherwise stay "Running" forever
+  closeOpenSessions();
+
+  const win = createWindow();
+
+  // Expired Microsoft sessions are renewed in the background so the account list is current
+  refreshExpiredAccounts(getPreferences().msAuthConfig).then((changed) => {
+    if (changed && !win.isDestroyed()) {
+      win.webContents.send("accounts-changed");
+    }
+  }).catch((error) => {
+    console.error("Couldn't refresh the saved accounts:", error);
+  });
+});
 
 ipcMain.handle("get-versions", async () => {
   try {
-    return await getVersions();
+    const prefs = getPreferences();
+    return await getVersions({ showBetaAlpha: prefs.showBetaAlpha });
   } catch (err) {
     console.error(err);
     return [];
@@ -80,42 +209,378 @@ ipcMain.handle("get-system-ram", () => {
   return totalRamGB;
 });
 
-ipcMain.handle("launch-minecraft", async (event, version, username, ramAllocation) => {
+ipcMain.handle("get-memory-info", (event, instanceId) => {
+  const instance = instanceId ? getInstance(instanceId) : getSelectedInstance();
+  return getMemoryInfo({
+    gameDir: instance ? getInstanceDirectory(instance) : null,
+    gameVersion: instance ? instance.version || getPreferences().version : null,
+  });
+});
+
+/**
+ * The installed Java a launch of `instance` would use, or null when it isn't known yet
+ */
+async function findLaunchJava(instance, prefs) {
+  const version = instance && (instance.version || prefs.version);
+  if (!version) return null;
   try {
-    const account = getSelectedAccount();
+    const javaPath = instance.javaPath || (prefs.javaPathByVersion || {})[version];
+    if (javaPath) return await getJavaInfo(javaPath);
+    const { versionData } = await getVersionData(version);
+    return selectBestJavaForVersion(getRequiredJavaVersion(versionData), await getAvailableJavaInstallations());
+  } catch (error) {
+    return null;
+  }
+}
+
+ipcMain.handle("check-launch-memory", async (event, instanceId) => {
+  const instance = instanceId ? getInstance(instanceId) : getSelectedInstance();
+  const prefs = getPreferences();
+  const ramAllocation = (instance && instance.ramAllocation) || prefs.ramAllocation || 2048;
+  return { ramAllocation, warnings: checkLaunchMemory(ramAllocation, await findLaunchJava(instance, prefs)) };
+});
+
+ipcMain.handle("launch-minecraft", async (event, instanceId, launchOptions = {}) => {
+  const instance = instanceId ? getInstance(instanceId) : getSelectedInstance();
+  
+  if (!instance) {
+    return { success: false, error: "No instance selected" };
+  }
+  
+  // Two games writing to the same saves and options would corrupt them
+  if (isInstanceRunning(instance.id)) {
+    return { success: false, error: `${instance.name} is already running` };
+  }
+  if (pendingLaunches.has(instance.id)) {
+    return { success: false, error: `${instance.name} is already starting` };
+  }
+  
+  // Reserved before anything is awaited, so a second click can't start the instance twice
+  const downloadController = new AbortController();
+  pendingLaunches.set(instance.id, downloadController);
+  const releaseInstance = () => {
+    if (pendingLaunches.get(instance.id) === downloadController) {
+      pendingLaunches.delete(instance.id);
+    }
+  };
+  
+  // Events name their instance, the renderer only shows those of the instance it has selected
+  const send = (channel, payload) => {
+    if (!event.sender.isDestroyed()) event.sender.send(channel, { ...payload, instanceId: instance.id });
+  };
+  
+  let session = null;
+  let account;
+  let version;
+  let javaPath;
+  const prefs = getPreferences();
+  try {
+    account = getSelectedAccount();
     
     if (!account) {
+      releaseInstance();
       return { success: false, error: "No account selected" };
     }
     
-    // Send game started event
-    event.sender.send("game-started");
-    
-    await launchMinecraft(
-      version, 
-      account.username, 
-      ramAllocation || prefs.ramAllocation, 
-      (progress) => {
-        event.sender.send("download-progress", progress);
+    // The game gets the token as it is, an expired one only fails once it joins a server
+    try {
+      account = account.type === "yggdrasil"
+        ? await ensureValidYggdrasilAccount(account)
+        : await ensureFreshAccount(account, { authConfig: prefs.msAuthConfig });
+    } catch (error) {
+      if (error.needsLogin) {
+        if (!event.sender.isDestroyed()) event.sender.send("accounts-changed");
+        releaseInstance();
+        return { success: false, error: `${account.username} needs to log in again (Account Manager)` };
       }
-    );
+      console.warn(`⚠️ Couldn't refresh ${account.username}, launching with the saved session:`, error.message);
+    }
     
-    // Send game closed event
-    event.sender.send("game-closed");
+    // Instances without a version of their own use the version picked before instances existed
+    version = instance.version || prefs.version;
+    if (!version) {
+      releaseInstance();
+      return { success: false, error: "Please choose a Minecraft version for this instance" };
+    }
     
-    return { success: true };
+    // The instance's own Java wins over the one picked for its Minecraft version in settings
+    javaPath = instance.javaPath || (prefs.javaPathByVersion || {})[version] || null;
+    
+    session = startSession({ instance, version, account });
+    
+    if (instance.loader && instance.loader.type) {
+      send("download-progress", { phase: "loader", percent: 0 });
+      version = await installLoader(instance.loader.type, version, instance.loader.version, {
+        metaUrl: getLoaderMetaUrl(prefs, instance.loader.type),
+        signal: downloadController.signal,
+        onProgress: (progress) => send("download-progress", progress),
+      });
+    }
+    
+    // Cancelled while the account was refreshed, before any download could notice
+    if (downloadController.signal.aborted) {
+      throw new Error("Download cancelled");
+    }
   } catch (err) {
     console.error(err);
-    // Send game closed event even on error
-    event.sender.send("game-closed");
+    releaseInstance();
+    if (session) {
+      endSession(session.id, { error: err.message });
+    }
     return { success: false, error: err.message };
   }
+  
+  markInstancePlayed(instance.id);
+  
+  // The log console keeps showing games that are still running
+  if (!hasRunningGames()) {
+    gameLog = [];
+    sendToLogWindow("game-log-reset");
+  }
+  gameLogDirectory = path.join(getInstanceDirectory(instance), "logs", "launcher");
+  if (prefs.openLogConsole) {
+    openLogWindow();
+  }
+  
+  // Answered once the game's process starts (or the launch fails), the game runs on afterwards
+  return await new Promise((resolve) => {
+    let spawned = false;
+    
+    launchMinecraft(
+      version, 
+      account,
+      account.username, 
+      instance.ramAllocation || prefs.ramAllocation, 
+      (progress) => send("download-progress", progress),
+      {
+        ...launchOptions,
+        gameDirectory: getInstanceDirectory(instance),
+        javaPath,
+        jvmArgs: instance.jvmArgs,
+        gcPreset: instance.gcPreset,
+        onLog: appendGameLog,
+        onSpawn: (child, info) => {
+          spawned = true;
+          updateSession(session.id, { javaPath: info.javaPath, javaVersion: info.javaVersion, startedAt: Date.now() });
+          registerProcess(child, { ...info, instanceId: instance.id, instanceName: instance.name }, () => {
+            if (!event.sender.isDestroyed()) event.sender.send("running-changed");
+          });
+          releaseInstance();
+          send("game-started", { pid: child.pid });
+          resolve({ success: true, pid: child.pid });
+        },
+        downloadConcurrency: prefs.downloadConcurrency,
+        signal: downloadController.signal,
+      }
+    ).then((result) => {
+      endSession(session.id, { exitCode: result.exitCode, crash: result.crash });
+      
+      if (result.crash) {
+        lastCrash = result.crash;
+        send("game-crashed", result.crash);
+      }
+      send("game-closed", { exitCode: result.exitCode });
+    }).catch((err) => {
+      console.error(err);
+      releaseInstance();
+      endSession(session.id, { error: err.message });
+      if (spawned) {
+        send("game-closed", { error: err.message });
+      } else {
+        resolve({ success: false, error: err.message });
+      }
+    });
+  });
+});
+
+ipcMain.handle("cancel-download", (event, instanceId) => {
+  const downloadController = pendingLaunches.get(instanceId);
+  if (!downloadController) {
+    return { success: false, error: "No download in progress" };
+  }
+  // The launch gives the instance back once it stops
+  downloadController.abort();
+  return { success: true };
+});
+
+ipcMain.handle("list-running", async () => {
+  return await listRunning();
+});
+
+ipcMain.handle("kill-game", (event, pid) => {
+  try {
+    killGame(pid);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("get-launch-history", (event, options = {}) => {
+  return getHistory(options);
+});
+
+ipcMain.handle("get-playtime-stats", () => {
+  return getPlaytimeStats();
+});
+
+ipcMain.handle("export-history", async (event, format = "json") => {
+  try {
+    const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: "Export Launch History",
+      defaultPath: `launch-history.${format}`,
+      filters: [{ name: format.toUpperCase(), extensions: [format] }],
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    fs.writeFileSync(result.filePath, exportHistory(format));
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("open-log-console", () => {
+  openLogWindow();
+  return { success: true };
+});
+
+ipcMain.handle("get-game-log", () => {
+  return gameLog;
+});
+
+ipcMain.handle("open-logs-directory", () => {
+  const instance = getSelectedInstance();
+  const logsDir = gameLogDirectory || (instance && path.join(getInstanceDirectory(instance), "logs", "launcher"));
+  if (!logsDir) {
+    return { success: false, error: "No logs yet" };
+  }
+  shell.openPath(logsDir);
+  return { success: true };
+});
+
+ipcMain.handle("open-crash-report", () => {
+  const reportFile = lastCrash && (lastCrash.reportFile || lastCrash.logFile);
+  if (!reportFile) {
+    return { success: false, error: "No crash report found" };
+  }
+  shell.openPath(reportFile);
+  return { success: true };
+});
+
+ipcMain.handle("verify-version", async (event, version) => {
+  try {
+    const report = await verifyAndRepairVersion(version, (progress) => {
+      event.sender.send("verify-progress", progress);
+    });
+    return { success: true, report };
+  } catch (error) {
+    console.error("Verify & repair error:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+function getLoaderMetaUrl(prefs, type) {
+  return prefs[`${type}MetaUrl`] || undefined;
+}
+
+ipcMain.handle("get-loader-versions", async (event, type, gameVersion) => {
+  try {
+    const versions = await getLoaderVersions(type, gameVersion, {
+      metaUrl: getLoaderMetaUrl(getPreferences(), type),
+    });
+    return { success: true, versions };
+  } catch (error) {
+    return { success: false, error: error.message, versions: [] };
+  }
+});
+
+ipcMain.handle("get-instances", async () => {
+  try {
+    const instances = getAllInstances();
+    const selectedInstance = getSelectedInstance();
+    return { instances, selectedInstance: selectedInstance ? selectedInstance.id : null };
+  } catch (error) {
+    console.error("Error getting instances:", error);
+    return { instances: [], selectedInstance: null };
+  }
+});
+
+ipcMain.handle("create-instance", async (event, instanceData) => {
+  try {
+    const instance = createInstance(instanceData);
+    return { success: true, instance };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
+ipcMain.handle("rename-instance", async (event, id, name) => {
+  try {
+    const instance = renameInstance(id, name);
+    return { success: true, instance };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("duplicate-instance", async (event, id, name) => {
+  try {
+    const instance = duplicateInstance(id, name);
+    return { success: true, instance };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-ipcMain.handle("get-java-installations", async () => {
+ipcMain.handle("delete-instance", async (event, id) => {
   try {
-    const javaInstalls = findAllJavaInstallations();
+    if (isInstanceRunning(id) || pendingLaunches.has(id)) {
+      return { success: false, error: "Stop the game before deleting its instance" };
+    }
+    deleteInstance(id);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("update-instance", async (event, id, settings) => {
+  try {
+    const instance = updateInstance(id, settings);
+    return { success: true, instance };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("select-instance", async (event, id) => {
+  try {
+    const instance = selectInstance(id);
+    if (!instance) {
+      return { success: false, error: "Instance not found" };
+    }
+    return { success: true, instance };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("open-instance-directory", async (event, id) => {
+  const instance = getInstance(id);
+  if (!instance) {
+    return { success: false, error: "Instance not found" };
+  }
+  shell.openPath(getInstanceDirectory(instance));
+  return { success: true };
+});
+
+ipcMain.handle("get-java-installations", async (event, refresh = false) => {
+  try {
+    const javaInstalls = await getAvailableJavaInstallations({ refresh });
     return javaInstalls;
   } catch (error) {
     console.error("Error getting Java installations:", error);
@@ -123,10 +588,37 @@ ipcMain.handle("get-java-installations", async () => {
   }
 });
 
+ipcMain.handle("get-required-java-version", async (event, versionId) => {
+  try {
+    const { versionData } = await getVersionData(versionId);
+    return { success: true, version: getRequiredJavaVersion(versionData) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("browse-java", async (event) => {
+  const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: "Select a Java executable",
+    properties: ["openFile"],
+    filters: os.platform() === "win32" ? [{ name: "Java", extensions: ["exe"] }] : [],
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, canceled: true };
+  }
+
+  const java = await getJavaInfo(result.filePaths[0]);
+  if (!java) {
+    return { success: false, error: "The selected file is not a working Java executable" };
+  }
+  return { success: true, java };
+});
+
 ipcMain.handle("ms-login", async () => {
   try {
-    const authData = await authenticateWithMicrosoft();
-    updateMicrosoftAccount(authData);
+    const authData = await authenticateWithMicrosoft(getPreferences().msAuthConfig);
+    updateMicrosoftAccount({ ...authData, needsLogin: false });
     return { success: true, account: authData };
   } catch (error) {
     console.error("Microsoft login error:", error.message);
@@ -134,6 +626,77 @@ ipcMain.handle("ms-login", async () => {
   }
 });
 
+ipcMain.handle("ms-device-login", async (event) => {
+  if (activeDeviceLogin) {
+    return { success: false, error: "A login is already waiting for its code" };
+  }
+
+  const controller = new AbortController();
+  const login = { controller, verificationUri: null };
+  activeDeviceLogin = login;
+  try {
+    const authData = await authenticateWithDeviceCode({
+      authConfig: getPreferences().msAuthConfig,
+      signal: controller.signal,
+      onCode: (code) => {
+        login.verificationUri = code.verificationUri;
+        event.sender.send("ms-device-code", code);
+      },
+    });
+    updateMicrosoftAccount({ ...authData, needsLogin: false });
+    return { success: true, account: { username: authData.username, uuid: authData.uuid } };
+  } catch (error) {
+    return { success: false, canceled: controller.signal.aborted, error: error.message };
+  } finally {
+    activeDeviceLogin = null;
+  }
+});
+
+ipcMain.handle("cancel-device-login", () => {
+  if (!activeDeviceLogin) {
+    return { success: false, error: "No login in progress" };
+  }
+  activeDeviceLogin.controller.abort();
+  return { success: true };
+});
+
+// Only the page Microsoft sent for the pending login can be opened
+ipcMain.handle("open-device-login-page", () => {
+  if (!activeDeviceLogin || !activeDeviceLogin.verificationUri) {
+    return { success: false, error: "No login in progress" };
+  }
+  shell.openExternal(activeDeviceLogin.verificationUri);
+  return { success: true };
+});
+
+ipcMain.handle("yggdrasil-login", async (event, serverUrl, username, password) => {
+  try {
+    pendingYggdrasilLogin = null;
+    const result = await authenticate(serverUrl, username, password);
+    if (result.profiles) {
+      pendingYggdrasilLogin = result.session;
+      return { success: true, profiles: result.profiles.map(profile => ({ id: profile.id, name: profile.name })) };
+    }
+    return { success: true, account: { username: result.account.username, uuid: result.account.uuid } };
+  } catch (error) {
+    console.error("Authentication server login error:", error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("yggdrasil-select-profile", async (event, profileId) => {
+  if (!pendingYggdrasilLogin) {
+    return { success: false, error: "No login is waiting for a profile" };
+  }
+  try {
+    const result = await selectProfile(pendingYggdrasilLogin, profileId);
+    pendingYggdrasilLogin = null;
+    return { success: true, account: { username: result.account.username, uuid: result.account.uuid } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 // Fix the add-offline-account handler
 ipcMain.handle("add-offline-account", async (event, username) => {
   try {
@@ -150,9 +713,10 @@ ipcMain.handle("add-offline-account", async (event, username) => {
 
 ipcMain.handle("get-accounts", async () => {
   try {
-    const accounts = getAllAccounts();
+    // `id` is what select-account and remove-account take
+    const accounts = getAllAccounts().map(acc => ({ ...acc, id: getAccountId(acc) }));
     const selectedAccount = getSelectedAccount();
-    return { accounts, selectedAccount };
+    return { accounts, selectedAccount: selectedAccount && { ...selectedAccount, id: getAccountId(selectedAccount) } };
   } catch (error) {
     console.error("Error getting accounts:", error);
     return { accounts: [], selectedAccount: null };
@@ -181,6 +745,10 @@ ipcMain.handle("select-account", async (event, identifier) => {
 
 ipcMain.handle("remove-account", async (event, identifier) => {
   try {
+    const account = getAllAccounts().find(acc => getAccountId(acc) === identifier);
+    if (account && account.type === "yggdrasil") {
+      await signOut(account);
+    }
     removeAccount(identifier);
     return { success: true };
   } catch (error) {
@@ -188,11 +756,14 @@ ipcMain.handle("remove-account", async (event, identifier) => {
   }
 });
 
-ipcMain.handle("refresh-account", async (event, refreshToken) => {
+ipcMain.handle("refresh-account", async (event, uuid) => {
   try {
-    const authData = await refreshAccessToken(refreshToken);
-    updateMicrosoftAccount(authData);
-    return { success: true, account: authData };
+    const account = getAllAccounts().find(acc => acc.type === "microsoft" && acc.uuid === uuid);
+    if (!account) {
+      return { success: false, error: "Account not found" };
+    }
+    const refreshed = await ensureFreshAccount(account, { force: true, authConfig: getPreferences().msAuthConfig });
+    return { success: true, account: { username: refreshed.username, uuid: refreshed.uuid, expiresAt: refreshed.expiresAt } };
   } catch (error) {
     console.error("Token refresh error:", error);
     return { success: false, error: error.message };
@@ -218,3 +789,97 @@ ipcMain.handle("get-selected-account", async () => {
     return { success: false, account: null };
   }
 });
+
+/**
+ * The selected account with a current token, for the skin panel; only Microsoft accounts have skins
+ */
+async function getSkinAccount() {
+  const account = getSelectedAccount();
+  if (!account || account.type !== "microsoft") {
+    throw new Error("Select a Microsoft account to change its skin");
+  }
+  return await ensureFreshAccount(account, { authConfig: getPreferences().msAuthConfig });
+}
+
+ipcMain.handle("get-skin-profile", async () => {
+  try {
+    const profile = await getSkinProfile(await getSkinAccount(), getPreferences().msAuthConfig);
+    return { success: true, profile };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("upload-skin-file", async (event, variant) => {
+  try {
+    const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: "Select a skin",
+      properties: ["openFile"],
+      filters: [{ name: "PNG image", extensions: ["png"] }],
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    const filePath = result.filePaths[0];
+    const data = fs.readFileSync(filePath);
+    validateSkin(data);
+
+    // Every uploaded skin is kept in the library, so switching back is one click
+    await uploadSkin(await getSkinAccount(), data, variant, getPreferences().msAuthConfig);
+    addSkinToLibrary(data, { name: path.basename(filePath, path.extname(filePath)), variant });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("reset-skin", async () => {
+  try {
+    await resetSkin(await getSkinAccount(), getPreferences().msAuthConfig);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("set-active-cape", async (event, capeId) => {
+  try {
+    await setActiveCape(await getSkinAccount(), capeId || null, getPreferences().msAuthConfig);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("get-skin-library", () => {
+  return listSkinLibrary();
+});
+
+ipcMain.handle("apply-library-skin", async (event, id) => {
+  try {
+    const skin = getLibrarySkin(id);
+    await uploadSkin(await getSkinAccount(), readLibrarySkin(skin), skin.variant, getPreferences().msAuthConfig);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("save-current-skin", async () => {
+  try {
+    const profile = await getSkinProfile(await getSkinAccount(), getPreferences().msAuthConfig);
+    if (!profile.skin) {
+      return { success: false, error: "This account uses the default skin" };
+    }
+    const skin = await saveSkinFromUrl(profile.skin.url, { name: profile.username, variant: profile.skin.variant });
+    return { success: true, skin };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("remove-library-skin", (event, id) => {
+  return { success: removeSkinFromLibrary(id) };
+});
@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const MIN_ALLOCATION = 1024; // MB
+const ALLOCATION_STEP = 512; // MB, matches the settings slider
+const OS_RESERVE = 2048; // MB left to the operating system on machines with enough memory
+const JVM_OVERHEAD = 512; // MB the JVM uses outside of the heap (metaspace, threads, natives)
+
+// Largest heap a 32-bit JVM can reliably reserve, the rest of its address space goes to natives
+const MAX_32BIT_HEAP = os.platform() === "win32" ? 1024 : 1536;
+
+const MB = 1024 * 1024;
+
+/**
+ * Memory the OS can hand out right now. On Linux `os.freemem()` doesn't count the page
+ * cache, which the kernel gives back on demand, so MemAvailable is used instead.
+ */
+function getAvailableMemory() {
+  if (os.platform() === "linux") {
+    try {
+      const match = fs.readFileSync("/proc/meminfo", "utf8").match(/^MemAvailable:\s+(\d+) kB/m);
+      if (match) return Math.floor(parseInt(match[1], 10) / 1024);
+    } catch {
+      // Fall back to freemem below
+    }
+  }
+  return Math.floor(os.freemem() / MB);
+}
+
+function roundToStep(mb) {
+  return Math.floor(mb / ALLOCATION_STEP) * ALLOCATION_STEP;
+}
+
+/**
+ * Largest allocation worth offering: total memory minus what the OS and the JVM itself need
+ */
+function getMaxAllocation(totalMB = Math.floor(os.totalmem() / MB)) {
+  const reserve = Math.max(Math.min(OS_RESERVE, totalMB / 4), totalMB / 8) + JVM_OVERHEAD;
+  return Math.max(MIN_ALLOCATION, roundToStep(totalMB - reserve));
+}
+
+function countMods(gameDir) {
+  const modsDir = path.join(gameDir, "mods");
+  if (!fs.existsSync(modsDir)) return 0;
+  return fs.readdirSync(modsDir).filter(file => file.endsWith(".jar")).length;
+}
+
+/**
+ * Suggest a heap size from the game version, the number of installed mods and total memory
+ */
+function suggestAllocation({ gameVersion, modCount = 0, totalMB } = {}) {
+  const minor = parseInt((/^1\.(\d+)/.exec(gameVersion || "") || [])[1], 10);
+
+  // 1.18 raised world height and chunk memory use; anything unknown (snapshots, latest) is treated as modern
+  let suggested = !isNaN(minor) && minor < 13 ? 2048 : isNaN(minor) || minor >= 18 ? 4096 : 3072;
+
+  if (modCount > 0) suggested += 1024;
+  if (modCount > 50) suggested += 1024;
+  if (modCount > 150) suggested += 2048;
+
+  return Math.max(MIN_ALLOCATION, Math.min(suggested, getMaxAllocation(totalMB)));
+}
+
+/**
+ * Memory information for the settings UI, with a suggestion for a game directory and version
+ */
+function getMemoryInfo({ gameDir, gameVersion } = {}) {
+  const totalMB = Math.floor(os.totalmem() / MB);
+  const modCount = gameDir ? countMods(gameDir) : 0;
+
+  return {
+    totalMB,
+    availableMB: getAvailableMemory(),
+    maxMB: getMaxAllocation(totalMB),
+    minMB: MIN_ALLOCATION,
+    stepMB: ALLOCATION_STEP,
+    modCount,
+    suggestedMB: suggestAllocation({ gameVersion, modCount, totalMB }),
+  };
+}
+
+/**
+ * Problems with starting a game with `ramMB` of heap on `java` right now, as human readable warnings
+ */
+function checkLaunchMemory(ramMB, java = null) {
+  const warnings = [];
+  const totalMB = Math.floor(os.totalmem() / MB);
+  const availableMB = getAvailableMemory();
+
+  if (ramMB + JVM_OVERHEAD > totalMB) {
+    warnings.push(`${ramMB} MB is more than this computer's ${totalMB} MB of memory, Java will not start. Lower the RAM allocation.`);
+  } else if (ramMB + JVM_OVERHEAD > availableMB) {
+    warnings.push(`Only ${availableMB} MB of memory is free but ${ramMB} MB is allocated. Close other programs or the game may stutter or crash.`);
+  }
+  if (java && java.bits === 32 && ramMB > MAX_32BIT_HEAP) {
+    warnings.push(`${ramMB} MB is allocated but 32-bit Java can only use about ${MAX_32BIT_HEAP} MB, the game will start with ${MAX_32BIT_HEAP} MB. Install 64-bit Java to use more.`);
+  }
+  return warnings;
+}
+
+/**
+ * Heap size a Java can actually use, lowering allocations a 32-bit JVM can't address
+ */
+function fitAllocationToJava(ramMB, java) {
+  if (java && java.bits === 32 && ramMB > MAX_32BIT_HEAP) return MAX_32BIT_HEAP;
+  return ramMB;
+}
+
+module.exports = {
+  MAX_32BIT_HEAP,
+  getMemoryInfo,
+  getMaxAllocation,
+  suggestAllocation,
+  checkLaunchMemory,
+  fitAllocationToJava,
+};
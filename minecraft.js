@@ -1,15 +1,98 @@
 const fs = require("fs");
 const path = require("path");
 const axios = require("axios");
-const { spawn, execSync } = require("child_process");
+const { spawn } = require("child_process");
 const os = require("os");
 const AdmZip = require("adm-zip");
+const { downloadFile, downloadAll, isFileValid, DEFAULT_CONCURRENCY } = require("./downloader");
+const { installJavaRuntime, getRuntimePlatform } = require("./runtime");
+const { getJavaInfo, getAvailableJavaInstallations } = require("./java");
+const { fitAllocationToJava } = require("./memory");
+const { createLogParser, createSessionLog } = require("./gamelog");
+const { diagnoseCrash } = require("./crash");
+const { getSelectedAccount, getOfflineUuid } = require("./accounts");
+const { getAuthlibInjectorArguments } = require("./yggdrasil");
 
 const MINECRAFT_DIR = path.join(os.homedir(), ".minecraft-launcher");
 const VERSIONS_DIR = path.join(MINECRAFT_DIR, "versions");
 const LIBRARIES_DIR = path.join(MINECRAFT_DIR, "libraries");
 const ASSETS_DIR = path.join(MINECRAFT_DIR, "assets");
+const LOG_CONFIGS_DIR = path.join(ASSETS_DIR, "log_configs");
 const VERSION_MANIFEST_URL = "https://launchermeta.mojang.com/mc/game/version_manifest.json";
+const VERSION_MANIFEST_CACHE = path.join(MINECRAFT_DIR, "version_manifest.json");
+const NETWORK_TIMEOUT = 10000; // ms before metadata requests fall back to the local cache
+const MAVEN_CENTRAL_URL = "https://repo1.maven.org/maven2";
+
+// Fallback Maven repositories for old libraries
+const MAVEN_REPOS = [
+  "https://libraries.minecraft.net",
+  "https://maven.minecraftforge.net",
+  MAVEN_CENTRAL_URL,
+  "https://maven.codehaus.org/maven2",
+  "https://oss.sonatype.org/content/repositories/public",
+];
+const LAUNCHER_NAME = "voxel-launcher";
+const LAUNCHER_VERSION = require("./package.json").version;
+
+// Garbage collector flag profiles an instance can pick
+const GC_PRESETS = {
+  g1: {
+    minJava: 8,
+    args: [
+      "-XX:+UseG1GC",
+      "-XX:+UnlockExperimentalVMOptions",
+      "-XX:G1NewSizePercent=20",
+      "-XX:G1ReservePercent=20",
+      "-XX:MaxGCPauseMillis=50",
+      "-XX:G1HeapRegionSize=32M",
+    ],
+  },
+  zgc: {
+    minJava: 15, // Production ready from Java 15
+    args: ["-XX:+UseZGC"],
+  },
+  // https://docs.papermc.io/paper/aikars-flags
+  aikar: {
+    minJava: 8,
+    args: [
+      "-XX:+UseG1GC",
+      "-XX:+ParallelRefProcEnabled",
+      "-XX:MaxGCPauseMillis=200",
+      "-XX:+UnlockExperimentalVMOptions",
+      "-XX:+DisableExplicitGC",
+      "-XX:+AlwaysPreTouch",
+      "-XX:G1NewSizePercent=30",
+      "-XX:G1MaxNewSizePercent=40",
+      "-XX:G1HeapRegionSize=8M",
+      "-XX:G1ReservePercent=20",
+      "-XX:G1HeapWastePercent=5",
+      "-XX:G1MixedGCCountTarget=4",
+      "-XX:InitiatingHeapOccupancyPercent=15",
+      "-XX:G1MixedGCLiveThresholdPercent=90",
+      "-XX:G1RSetUpdatingPauseTimePercent=5",
+      "-XX:SurvivorRatio=32",
+      "-XX:+PerfDisableSharedMem",
+      "-XX:MaxTenuringThreshold=1",
+    ],
+  },
+};
+
+// JVM arguments for versions that predate `arguments.jvm` (1.12.2 and older)
+const LEGACY_JVM_ARGUMENTS = [
+  {
+    rules: [{ action: "allow", os: { name: "osx" } }],
+    value: ["-XstartOnFirstThread"],
+  },
+  {
+    rules: [{ action: "allow", os: { name: "windows" } }],
+    value: "-XX:HeapDumpPath=MojangTricksIntelDriversForPerformance_javaw.exe_minecraft.exe.heapdump",
+  },
+  "-Djava.library.path=${natives_directory}",
+  "-Dminecraft.launcher.brand=${launcher_name}",
+  "-Dminecraft.launcher.version=${launcher_version}",
+  "-cp",
+  "${classpath}",
+];
 
 // Ensure directories exist
 [MINECRAFT_DIR, VERSIONS_DIR, LIBRARIES_DIR, ASSETS_DIR].forEach((dir) => {
@@ -18,29 +101,152 @@ const VERSION_MANIFEST_URL = "https://launchermeta.mojang.com/mc/game/version_ma
   }
 });
 
-async function getVersions() {
+/**
+ * Fetch the version manifest, keeping a copy on disk for when the network is unreachable
+ */
+async function getVersionManifest() {
   try {
-    const manifestResponse = await axios.get(VERSION_MANIFEST_URL);
-    const versions = manifestResponse.data.versions
-      .filter(v => v.type === "release" || v.type === "snapshot")
-      .sort((a, b) => {
-        return new Date(b.releaseTime) - new Date(a.releaseTime);
-      });
-    return versions;
+    const response = await axios.get(VERSION_MANIFEST_URL, { timeout: NETWORK_TIMEOUT });
+    fs.writeFileSync(VERSION_MANIFEST_CACHE, JSON.stringify(response.data));
+    return response.data;
+  } catch (error) {
+    if (fs.existsSync(VERSION_MANIFEST_CACHE)) {
+      console.warn(`Could not reach Mojang (${error.message}), using cached version manifest`);
+      return JSON.parse(fs.readFileSync(VERSION_MANIFEST_CACHE, "utf8"));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read `versions/<id>/<id>.json` if a previous launch saved it
+ */
+function readLocalVersionJson(versionId) {
+  const jsonPath = path.join(VERSIONS_DIR, versionId, `${versionId}.json`);
+  if (!fs.existsSync(jsonPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+  } catch (error) {
+    console.warn(`Ignoring unreadable version JSON ${jsonPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List the versions that have a version JSON on disk
+ */
+function getInstalledVersions() {
+  if (!fs.existsSync(VERSIONS_DIR)) return [];
+
+  return fs.readdirSync(VERSIONS_DIR)
+    .map(versionId => readLocalVersionJson(versionId))
+    // Mod loader versions are picked through their instance's loader setting instead
+    .filter(versionData => versionData && !versionData.inheritsFrom)
+    .map(versionData => ({
+      id: versionData.id,
+      type: versionData.type || "release",
+      releaseTime: versionData.releaseTime,
+      installed: true,
+    }));
+}
+
+async function getVersions(options = {}) {
+  const { showBetaAlpha = false } = options;
+  const allowedTypes = showBetaAlpha
+    ? ["release", "snapshot", "old_beta", "old_alpha"]
+    : ["release", "snapshot"];
+
+  let manifestVersions = [];
+  let manifestError = null;
+
+  try {
+    manifestVersions = (await getVersionManifest()).versions;
   } catch (error) {
-    throw new Error(`Failed to get versions: ${error.message}`);
+    manifestError = error;
+  }
+
+  const installedVersions = getInstalledVersions();
+  if (manifestError && installedVersions.length === 0) {
+    throw new Error(`Failed to get versions: ${manifestError.message}`);
   }
+
+  const installedIds = new Set(installedVersions.map(v => v.id));
+  const manifestIds = new Set(manifestVersions.map(v => v.id));
+
+  const versions = [
+    ...manifestVersions.map(v => ({ ...v, installed: installedIds.has(v.id) })),
+    // Versions we have locally but the manifest doesn't know about (or couldn't be fetched)
+    ...installedVersions.filter(v => !manifestIds.has(v.id)),
+  ];
+
+  return versions
+    .filter(v => allowedTypes.includes(v.type))
+    .sort((a, b) => {
+      return new Date(b.releaseTime) - new Date(a.releaseTime);
+    });
+}
+
+/**
+ * Combine a mod loader version with the version it `inheritsFrom`. The child's libraries
+ * come first and replace the parent's copy of the same artifact, its mainClass and
+ * minecraftArguments win, and both argument lists are concatenated. Unless the child names
+ * a `jar`, it gets its own copy of the parent's client JAR (Forge ignores the game JAR by version name).
+ */
+function mergeVersionData(child, parent) {
+  // group:artifact[:classifier], so a loader can swap in another version of a library
+  const libraryKey = (library) => {
+    if (!library.name) return JSON.stringify(library);
+    return library.name.split(":").filter((part, index) => index !== 2).join(":");
+  };
+
+  const childLibraries = child.libraries || [];
+  const childKeys = new Set(childLibraries.map(libraryKey));
+
+  const merged = {
+    ...parent,
+    ...child,
+    mainClass: child.mainClass || parent.mainClass,
+    minecraftArguments: child.minecraftArguments || parent.minecraftArguments,
+    libraries: [
+      ...childLibraries,
+      ...(parent.libraries || []).filter(library => !childKeys.has(libraryKey(library))),
+    ],
+  };
+
+  if (parent.arguments || child.arguments) {
+    merged.arguments = {
+      game: [...(parent.arguments?.game || []), ...(child.arguments?.game || [])],
+      jvm: [...(parent.arguments?.jvm || []), ...(child.arguments?.jvm || [])],
+    };
+  }
+
+  return merged;
 }
 
 async function getVersionData(versionId) {
   try {
-    const manifestResponse = await axios.get(VERSION_MANIFEST_URL);
+    // An installed version never needs the network
+    const localData = versionId ? readLocalVersionJson(versionId) : null;
+    if (localData && localData.inheritsFrom) {
+      const parent = await getVersionData(localData.inheritsFrom);
+      return { version: versionId, versionData: mergeVersionData(localData, parent.versionData) };
+    }
+    if (localData) {
+      return { version: versionId, versionData: localData };
+    }
+
+    const manifest = await getVersionManifest();
     
     if (!versionId) {
-      versionId = manifestResponse.data.latest.release;
+      versionId = manifest.latest.release;
+      const latestData = readLocalVersionJson(versionId);
+      if (latestData) {
+        return { version: versionId, versionData: latestData };
+      }
     }
     
-    const versionInfo = manifestResponse.data.versions.find(
+    const versionInfo = manifest.versions.find(
       (v) => v.id === versionId
     );
     
@@ -48,7 +254,11 @@ async function getVersionData(versionId) {
       throw new Error(`Version ${versionId} not found in manifest`);
     }
     
-    const versionDetails = await axios.get(versionInfo.url);
+    const versionDetails = await axios.get(versionInfo.url, { timeout: NETWORK_TIMEOUT });
+
+    const versionDir = path.join(VERSIONS_DIR, versionId);
+    fs.mkdirSync(versionDir, { recursive: true });
+    fs.writeFileSync(path.join(versionDir, `${versionId}.json`), JSON.stringify(versionDetails.data, null, 2));
     
     return {
       version: versionId,
@@ -59,327 +269,228 @@ async function getVersionData(versionId) {
   }
 }
 
-function downloadFile(url, filePath, onProgress) {
-  return new Promise(async (resolve, reject) => {
-    let writer = null;
-    try {
-      const dir = path.dirname(filePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-
-      if (fs.existsSync(filePath)) {
-        const stats = fs.statSync(filePath);
-        if (stats.size > 0) {
-          resolve();
-          return;
-        }
-      }
-
-      writer = fs.createWriteStream(filePath);
-
-      const response = await axios({
-        url: url,
-        method: "GET",
-        responseType: "stream",
-        validateStatus: (status) => status === 200,
-      });
-
-      const totalLength = parseInt(response.headers["content-length"], 10);
-      let downloaded = 0;
-
-      response.data.on("data", (chunk) => {
-        downloaded += chunk.length;
-        if (onProgress && totalLength) {
-          onProgress((downloaded / totalLength) * 100);
-        }
-      });
-
-      response.data.on("error", (error) => {
-        if (writer) writer.destroy();
-        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-        reject(error);
-      });
-
-      response.data.pipe(writer);
-
-      writer.on("finish", () => {
-        writer.close();
-        resolve();
-      });
-
-      writer.on("error", (error) => {
-        writer.destroy();
-        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-        reject(error);
-      });
-    } catch (error) {
-      if (writer) writer.destroy();
-      if (fs.existsSync(filePath)) {
-        try {
-          fs.unlinkSync(filePath);
-        } catch (e) {}
-      }
-      reject(error);
-    }
-  });
-}
-
 function parseLibraryPath(library) {
   if (library.downloads && library.downloads.artifact && library.downloads.artifact.path) {
     return library.downloads.artifact.path;
   }
   
-  const parts = library.name.split(":");
+  // Coordinates may name a file type, e.g. "de.oceanlabs.mcp:mcp_config:1.20.1@zip"
+  const [coordinates, extension = "jar"] = library.name.split("@");
+  const parts = coordinates.split(":");
   const group = parts[0].replace(/\./g, "/");
   const artifact = parts[1];
   const version = parts[2];
   const classifier = parts[3] ? `-${parts[3]}` : "";
-  return `${group}/${artifact}/${version}/${artifact}-${version}${classifier}.jar`;
+  return `${group}/${artifact}/${version}/${artifact}-${version}${classifier}.${extension}`;
 }
 
-function shouldUseLibrary(library) {
-  if (!library.rules) return true;
-  
-  let shouldUse = false;
-  for (const rule of library.rules) {
-    if (rule.action === "allow") {
-      if (!rule.os) {
-        shouldUse = true;
-      } else {
-        const osName = os.platform();
-        if (rule.os.name === "windows" && osName === "win32") shouldUse = true;
-        if (rule.os.name === "osx" && osName === "darwin") shouldUse = true;
-        if (rule.os.name === "linux" && osName === "linux") shouldUse = true;
-      }
-    } else if (rule.action === "disallow") {
-      if (!rule.os) {
-        shouldUse = false;
-      } else {
-        const osName = os.platform();
-        if (rule.os.name === "windows" && osName === "win32") shouldUse = false;
-        if (rule.os.name === "osx" && osName === "darwin") shouldUse = false;
-        if (rule.os.name === "linux" && osName === "linux") shouldUse = false;
+/**
+ * Build a library entry that downloads straight from Maven Central
+ */
+function createMavenCentralLibrary(name) {
+  const libPath = parseLibraryPath({ name });
+  return {
+    name,
+    downloads: {
+      artifact: { path: libPath, url: `${MAVEN_CENTRAL_URL}/${libPath}` },
+    },
+  };
+}
+
+/**
+ * Filter a version's libraries down to the ones this platform needs.
+ * Shared by downloadLibraries, extractNatives and buildClassPath so they always agree.
+ */
+function getLibrariesForPlatform(libraries, features = {}) {
+  const platform = getPlatform();
+  const allowed = (libraries || []).filter(library => isAllowedByRules(library.rules, features));
+  const allowedNames = new Set(allowed.map(library => library.name));
+  const selected = [];
+  const selectedNames = new Set();
+
+  const addLibrary = (library) => {
+    if (library.name && selectedNames.has(library.name)) return;
+    if (library.name) selectedNames.add(library.name);
+    selected.push(library);
+  };
+
+  for (const library of allowed) {
+    // 1.19+ lists every LWJGL native as its own library, e.g. "org.lwjgl:lwjgl:3.3.1:natives-linux-arm64"
+    const classifier = library.name ? library.name.split(":")[3] : null;
+    const natives = classifier ? parseNativesClassifier(classifier) : null;
+
+    if (!natives) {
+      addLibrary(library);
+      continue;
+    }
+
+    if (natives.name !== platform.name) continue;
+
+    if (natives.arch === platform.arch) {
+      addLibrary(library);
+      continue;
+    }
+
+    // Mojang only ships x86_64 natives for Linux, so pull the ARM build from Maven Central instead
+    if (platform.isArm && natives.arch === "x86_64") {
+      const armName = `${library.name}-${platform.arch}`;
+      if (!allowedNames.has(armName)) {
+        addLibrary(createMavenCentralLibrary(armName));
       }
     }
   }
-  return shouldUse;
+
+  return selected;
 }
 
-async function downloadLibraries(versionData, onProgress) {
-  if (!versionData.libraries) return;
-  
-  const libraries = versionData.libraries.filter(shouldUseLibrary);
-  const total = libraries.length;
-  let completed = 0;
-  let downloadedCount = 0;
-  let skippedCount = 0;
-
-  // Fallback Maven repositories for old libraries
-  const MAVEN_REPOS = [
-    'https://libraries.minecraft.net',
-    'https://maven.minecraftforge.net',
-    'https://repo1.maven.org/maven2',
-    'https://maven.codehaus.org/maven2',
-    'https://oss.sonatype.org/content/repositories/public'
-  ];
+/**
+ * Find the natives archive for a pre-1.19 library that uses the `natives` classifier map
+ */
+function getNativesArtifact(library) {
+  if (!library.natives) return null;
 
-  for (const library of libraries) {
-    let downloadUrl = null;
-    let libPath = null;
-    let libFilePath = null;
-    
-    // Method 1: Use downloads.artifact if available (newer versions)
-    if (library.downloads && library.downloads.artifact) {
-      libPath = parseLibraryPath(library);
-      libFilePath = path.join(LIBRARIES_DIR, libPath);
-      downloadUrl = library.downloads.artifact.url;
-    } else if (library.name) {
-      // Method 2: Construct URL from library name (older versions like 1.8)
-      libPath = parseLibraryPath(library);
-      libFilePath = path.join(LIBRARIES_DIR, libPath);
-      // Will try multiple Maven repos
+  const platform = getPlatform();
+  const template = library.natives[platform.name];
+  if (!template) return null;
+
+  const classifiers = (library.downloads && library.downloads.classifiers) || {};
+  const bits = platform.arch === "x86" || platform.arch === "arm32" ? "32" : "64";
+  const classifier = template.replace("${arch}", bits);
+
+  if (platform.isArm) {
+    const armClassifier = template.includes("${arch}")
+      ? template.replace("${arch}", platform.arch)
+      : `${template}-${platform.arch}`;
+
+    if (classifiers[armClassifier]) {
+      return { classifier: armClassifier, ...classifiers[armClassifier] };
     }
-    
-    // Download main library artifact
-    if (libFilePath) {
-      let downloaded = false;
-      
-      if (downloadUrl) {
-        // Try the direct URL first
-        try {
-          await downloadFile(downloadUrl, libFilePath, (progress) => {
-            if (onProgress) {
-              const overallProgress = (completed / total) * 100 + (progress / total);
-              onProgress(overallProgress);
-            }
-          });
-          downloadedCount++;
-          downloaded = true;
-        } catch (error) {
-          console.warn(`Direct URL failed for ${library.name}, trying fallback repos...`);
-        }
-      }
-      
-      // If direct URL failed or doesn't exist, try fallback repos
-      if (!downloaded && libPath) {
-        for (const repo of MAVEN_REPOS) {
-          if (downloaded) break;
-          
-          const fallbackUrl = `${repo}/${libPath}`;
-          try {
-            await downloadFile(fallbackUrl, libFilePath, (progress) => {
-              if (onProgress) {
-                const overallProgress = (completed / total) * 100 + (progress / total);
-                onProgress(overallProgress);
-              }
-            });
-            console.log(`Downloaded ${library.name} from fallback repo: ${repo}`);
-            downloadedCount++;
-            downloaded = true;
-          } catch (error) {
-            // Try next repo
-          }
-        }
-        
-        if (!downloaded) {
-          console.warn(`Failed to download library ${library.name} from all repos (404)`);
-          skippedCount++;
-        }
-      } else if (!downloaded) {
-        skippedCount++;
+
+    // LWJGL 3 publishes ARM natives on Maven Central even though the version JSON doesn't list them
+    if (library.name && library.name.startsWith("org.lwjgl:")) {
+      const [group, artifact, version] = library.name.split(":");
+      if (version && version.startsWith("3.")) {
+        const armPath = parseLibraryPath({ name: `${group}:${artifact}:${version}:${armClassifier}` });
+        return { classifier: armClassifier, path: armPath, url: `${MAVEN_CENTRAL_URL}/${armPath}` };
       }
     }
-    
-    // Download native classifiers if they exist
-    if (library.downloads && library.downloads.classifiers) {
-      const osName = os.platform();
-      let nativeKey = null;
-      
-      if (library.natives) {
-        if (osName === "win32" && library.natives.windows) {
-          nativeKey = library.natives.windows.replace("${arch}", process.arch === "x64" ? "64" : "32");
-        } else if (osName === "darwin" && library.natives.osx) {
-          nativeKey = library.natives.osx.replace("${arch}", process.arch === "x64" ? "64" : "32");
-        } else if (osName === "linux" && library.natives.linux) {
-          nativeKey = library.natives.linux.replace("${arch}", process.arch === "x64" ? "64" : "32");
-        }
-      }
-      
-      if (nativeKey && library.downloads.classifiers[nativeKey]) {
-        const nativeInfo = library.downloads.classifiers[nativeKey];
-        const nativePath = nativeInfo.path;
-        const nativeFilePath = path.join(LIBRARIES_DIR, nativePath);
-        const nativeUrl = nativeInfo.url;
-        
-        try {
-          await downloadFile(nativeUrl, nativeFilePath);
-          downloadedCount++;
-        } catch (error) {
-          console.warn(`Failed to download native library ${library.name}: ${error.message}`);
-          skippedCount++;
-        }
+
+    console.warn(`No ${platform.arch} natives available for ${library.name}, falling back to ${classifier}`);
+  }
+
+  if (classifiers[classifier]) {
+    return { classifier, ...classifiers[classifier] };
+  }
+
+  return null;
+}
+
+/**
+ * List the library and natives archives this platform needs, with their download URLs and SHA-1
+ */
+function getLibraryFiles(versionData) {
+  const files = [];
+
+  for (const library of getLibrariesForPlatform(versionData.libraries)) {
+    const artifact = library.downloads && library.downloads.artifact;
+
+    // Native-only entries (classifiers but no artifact) are handled below
+    if (artifact || (library.name && !(library.downloads && library.downloads.classifiers))) {
+      const libPath = parseLibraryPath(library);
+      let url = artifact && artifact.url ? artifact.url : null;
+      // Mod loader profiles only name the Maven repository the library lives in
+      if (!url && library.url) {
+        url = `${library.url.replace(/\/+$/, "")}/${libPath}`;
       }
+      files.push({
+        name: library.name,
+        path: path.join(LIBRARIES_DIR, libPath),
+        url,
+        fallbackUrls: MAVEN_REPOS.map(repo => `${repo}/${libPath}`).filter(fallbackUrl => fallbackUrl !== url),
+        sha1: artifact ? artifact.sha1 : library.sha1,
+        size: artifact ? artifact.size : library.size,
+      });
     }
-    
-    completed++;
-    if (onProgress) {
-      onProgress((completed / total) * 100);
+
+    const nativeInfo = getNativesArtifact(library);
+    if (nativeInfo) {
+      files.push({
+        name: `${library.name} (${nativeInfo.classifier})`,
+        path: path.join(LIBRARIES_DIR, nativeInfo.path),
+        url: nativeInfo.url,
+        sha1: nativeInfo.sha1,
+        size: nativeInfo.size,
+      });
     }
   }
-  
-  console.log(`Libraries downloaded: ${downloadedCount}, Failed: ${skippedCount}`);
+
+  return files;
+}
+
+async function downloadLibraries(versionData, onProgress, options = {}) {
+  if (!versionData.libraries) return { downloaded: 0, skipped: 0, failed: [] };
+
+  const result = await downloadAll(getLibraryFiles(versionData), {
+    ...options,
+    phase: "libraries",
+    onProgress,
+  });
+
+  console.log(`Libraries downloaded: ${result.downloaded}, Up to date: ${result.skipped}, Failed: ${result.failed.length}`);
+  result.failed.forEach(file => console.warn(`Failed to download library ${file.name}: ${file.error}`));
+  return result;
 }
 
-async function downloadAssets(versionData, onProgress) {
-  if (!versionData.assetIndex) return;
+/**
+ * Read a version's asset index from disk, or null if it hasn't been downloaded yet
+ */
+function readAssetIndex(versionData) {
+  if (!versionData.assetIndex) return null;
+
+  const assetIndexPath = path.join(ASSETS_DIR, "indexes", `${versionData.assetIndex.id}.json`);
+  if (!fs.existsSync(assetIndexPath)) return null;
+
+  return JSON.parse(fs.readFileSync(assetIndexPath, "utf8"));
+}
+
+/**
+ * List the asset objects referenced by a version's (already downloaded) asset index
+ */
+function getAssetObjectFiles(versionData) {
+  const assetIndex = readAssetIndex(versionData);
+  if (!assetIndex) return [];
+
+  return Object.entries(assetIndex.objects || {}).map(([assetPath, { hash, size }]) => ({
+    name: assetPath,
+    path: path.join(ASSETS_DIR, "objects", hash.substring(0, 2), hash),
+    url: `https://resources.download.minecraft.net/${hash.substring(0, 2)}/${hash}`,
+    sha1: hash,
+    size,
+  }));
+}
+
+async function downloadAssets(versionData, onProgress, options = {}) {
+  if (!versionData.assetIndex) return { downloaded: 0, skipped: 0, failed: [] };
   
   try {
-    const assetIndexUrl = versionData.assetIndex.url;
     const assetIndexPath = path.join(ASSETS_DIR, "indexes", `${versionData.assetIndex.id}.json`);
-    
-    if (!fs.existsSync(assetIndexPath) || fs.statSync(assetIndexPath).size === 0) {
-      await downloadFile(assetIndexUrl, assetIndexPath);
-    }
-
-    const assetIndex = JSON.parse(fs.readFileSync(assetIndexPath, "utf8"));
-    
-    const objects = assetIndex.objects || {};
-    const total = Object.keys(objects).length;
-    let completed = 0;
-    let failed = 0;
-    const failedAssets = [];
+    await downloadFile(versionData.assetIndex.url, assetIndexPath, {
+      sha1: versionData.assetIndex.sha1,
+      signal: options.signal,
+    });
 
+    const assetFiles = getAssetObjectFiles(versionData);
+    const total = assetFiles.length;
     console.log(`Downloading ${total} asset files...`);
 
-    const batchSize = 10;
-    const objectEntries = Object.entries(objects);
-    const maxRetries = 3;
-    
-    for (let i = 0; i < objectEntries.length; i += batchSize) {
-      const batch = objectEntries.slice(i, i + batchSize);
-      const promises = batch.map(async ([assetPath, assetData]) => {
-        const hash = assetData.hash;
-        const hashPrefix = hash.substring(0, 2);
-        const objectPath = path.join(ASSETS_DIR, "objects", hashPrefix, hash);
-        const objectUrl = `https://resources.download.minecraft.net/${hashPrefix}/${hash}`;
-
-        // Check if file exists and has correct size
-        if (fs.existsSync(objectPath)) {
-          const stats = fs.statSync(objectPath);
-          if (stats.size === assetData.size) {
-            completed++;
-            return;
-          }
-        }
-        
-        // Try downloading with retries
-        let lastError = null;
-        for (let attempt = 0; attempt < maxRetries; attempt++) {
-          try {
-            await downloadFile(objectUrl, objectPath);
-            
-            // Verify file size after download
-            if (fs.existsSync(objectPath)) {
-              const stats = fs.statSync(objectPath);
-              if (stats.size === assetData.size) {
-                completed++;
-                return;
-              } else {
-                // Size mismatch, delete and retry
-                fs.unlinkSync(objectPath);
-                throw new Error(`Size mismatch: expected ${assetData.size}, got ${stats.size}`);
-              }
-            }
-          } catch (error) {
-            lastError = error;
-            if (attempt < maxRetries - 1) {
-              // Wait before retry (exponential backoff)
-              await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
-            }
-          }
-        }
-        
-        // All retries failed
-        failed++;
-        failedAssets.push({ hash, path: assetPath, error: lastError?.message });
-        console.warn(`Failed to download asset ${hash} after ${maxRetries} attempts`);
-      });
-
-      await Promise.all(promises);
-      
-      if (onProgress) {
-        // Assets are last 10% of total progress (90-100%)
-        const assetProgress = (completed / total) * 10;
-        onProgress(90 + assetProgress);
-      }
-      
-      if (completed % 100 === 0 || completed === total) {
-        console.log(`Assets: ${completed}/${total} downloaded (${failed} failed)`);
-      }
-    }
+    const result = await downloadAll(assetFiles, {
+      ...options,
+      phase: "assets",
+      onProgress,
+    });
+    const failed = result.failed.length;
     
-    console.log(`Asset download complete: ${completed}/${total} (${failed} failed)`);
+    console.log(`Asset download complete: ${total - failed}/${total} (${failed} failed)`);
     
     // If too many assets failed, throw an error
     if (failed > total * 0.1) { // More than 10% failed
@@ -390,12 +501,249 @@ async function downloadAssets(versionData, onProgress) {
     } else if (failed > 0) {
       console.warn(`Warning: ${failed} assets failed to download. Game may have missing textures or sounds.`);
     }
+
+    return result;
   } catch (error) {
     console.error(`Asset download error: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Copy assets out of the hashed object store for versions older than 1.7.3, which
+ * expect plain files: `virtual` indexes read from assets/virtual/legacy and
+ * `map_to_resources` indexes (pre-1.6) read from <gameDir>/resources.
+ * Returns the directory to pass as ${game_assets}.
+ */
+function prepareLegacyAssets(versionData, gameDir) {
+  const assetIndex = readAssetIndex(versionData);
+  if (!assetIndex || (!assetIndex.virtual && !assetIndex.map_to_resources)) {
+    return ASSETS_DIR;
+  }
+
+  const targetDirs = [];
+  if (assetIndex.virtual) targetDirs.push(path.join(ASSETS_DIR, "virtual", "legacy"));
+  if (assetIndex.map_to_resources) targetDirs.push(path.join(gameDir, "resources"));
+
+  let copied = 0;
+  for (const [assetPath, { hash, size }] of Object.entries(assetIndex.objects || {})) {
+    const objectPath = path.join(ASSETS_DIR, "objects", hash.substring(0, 2), hash);
+    if (!fs.existsSync(objectPath)) continue;
+
+    for (const targetDir of targetDirs) {
+      const targetPath = path.join(targetDir, assetPath);
+      if (fs.existsSync(targetPath) && fs.statSync(targetPath).size === size) continue;
+
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.copyFileSync(objectPath, targetPath);
+      copied++;
+    }
+  }
+
+  console.log(`Prepared legacy assets in ${targetDirs.join(", ")} (${copied} files copied)`);
+  return targetDirs[targetDirs.length - 1];
+}
+
+/**
+ * List every file a version needs (client JAR, libraries, natives and asset index)
+ * together with where to download it from and its expected SHA-1
+ */
+function getVersionFiles(version, versionData) {
+  const files = [];
+  const jarVersion = versionData.jar || version;
+
+  if (versionData.downloads && versionData.downloads.client) {
+    files.push({
+      name: `${jarVersion}.jar`,
+      path: path.join(VERSIONS_DIR, jarVersion, `${jarVersion}.jar`),
+      url: versionData.downloads.client.url,
+      sha1: versionData.downloads.client.sha1,
+      size: versionData.downloads.client.size,
+    });
+  }
+
+  files.push(...getLibraryFiles(versionData));
+
+  if (versionData.assetIndex) {
+    files.push({
+      name: `${versionData.assetIndex.id}.json`,
+      path: path.join(ASSETS_DIR, "indexes", `${versionData.assetIndex.id}.json`),
+      url: versionData.assetIndex.url,
+      sha1: versionData.assetIndex.sha1,
+      size: versionData.assetIndex.size,
+    });
+  }
+
+  const loggingConfig = getLoggingConfigFile(versionData);
+  if (loggingConfig) {
+    files.push(loggingConfig);
+  }
+
+  return files;
+}
+
+/**
+ * The log4j2 configuration Mojang ships for a version (`logging.client`), as a download task
+ */
+function getLoggingConfigFile(versionData) {
+  const client = versionData.logging && versionData.logging.client;
+  if (!client || !client.file || !client.file.url) return null;
+
+  return {
+    name: client.file.id,
+    path: path.join(LOG_CONFIGS_DIR, client.file.id),
+    url: client.file.url,
+    sha1: client.file.sha1,
+    size: client.file.size,
+  };
+}
+
+/**
+ * Download the version's logging configuration; a failure only costs the XML log layout
+ */
+async function downloadLoggingConfig(versionData, options = {}) {
+  const loggingConfig = getLoggingConfigFile(versionData);
+  if (!loggingConfig) return { failed: [] };
+
+  const result = await downloadAll([loggingConfig], { ...options, phase: "logging" });
+  if (result.failed.length > 0) {
+    console.warn(`Could not download logging config ${loggingConfig.name}: ${result.failed[0].error}`);
+  }
+  return result;
+}
+
+/**
+ * Versions 1.7 to 1.18.1 ship a log4j-core older than 2.17, vulnerable to Log4Shell (CVE-2021-44228)
+ */
+function usesVulnerableLog4j(versionData) {
+  const log4j = (versionData.libraries || [])
+    .map(library => (library.name || "").split(":"))
+    .find(([group, artifact]) => group === "org.apache.logging.log4j" && artifact === "log4j-core");
+  if (!log4j || !log4j[2]) return false;
+
+  const [major, minor] = log4j[2].split(/[.-]/).map(part => parseInt(part, 10));
+  return major === 2 && minor < 17;
+}
+
+/**
+ * JVM arguments that point log4j at the version's config and disable message lookups
+ * on vulnerable versions. The config's XML layout is what the log console parses.
+ */
+function getLoggingArguments(versionData) {
+  const args = [];
+
+  if (usesVulnerableLog4j(versionData)) {
+    args.push("-Dlog4j2.formatMsgNoLookups=true");
+  }
+
+  const loggingConfig = getLoggingConfigFile(versionData);
+  if (loggingConfig && fs.existsSync(loggingConfig.path)) {
+    args.push(versionData.logging.client.argument.replace("${path}", loggingConfig.path));
+  }
+
+  return args;
+}
+
+/**
+ * Reuse the parent version's client JAR for a loader version instead of downloading it again
+ */
+async function copyInheritedClientJar(versionData, clientJar) {
+  const { sha1, size } = versionData.downloads.client;
+  const parentJar = path.join(VERSIONS_DIR, versionData.inheritsFrom, `${versionData.inheritsFrom}.jar`);
+
+  if (parentJar === clientJar || await isFileValid(clientJar, sha1, size)) return;
+
+  if (await isFileValid(parentJar, sha1, size)) {
+    fs.copyFileSync(parentJar, clientJar);
+  }
+}
+
+function getInstallMarkerPath(version) {
+  return path.join(VERSIONS_DIR, version, ".verified");
+}
+
+/**
+ * Record that every file of a version was downloaded and passed its hash check
+ */
+function markVersionVerified(version) {
+  fs.writeFileSync(getInstallMarkerPath(version), JSON.stringify({ verifiedAt: Date.now() }));
+}
+
+/**
+ * Cheap check (existence and size only) that a version verified on an earlier launch is still complete
+ */
+function isVersionInstalled(version, versionData) {
+  if (!fs.existsSync(getInstallMarkerPath(version))) return false;
+
+  const files = [...getVersionFiles(version, versionData), ...getAssetObjectFiles(versionData)];
+  return files.every(file => {
+    if (!fs.existsSync(file.path)) return false;
+    const stats = fs.statSync(file.path);
+    return file.size ? stats.size === file.size : stats.size > 0;
+  });
+}
+
+/**
+ * Rescan every file of an installed version, then download again anything missing or corrupted
+ */
+async function verifyAndRepairVersion(versionId, onProgress) {
+  const { version, versionData } = await getVersionData(versionId);
+  const report = { version, checked: 0, corrupted: [], repaired: [], failed: [] };
+
+  console.log(`🔍 Verifying files for ${version}...`);
+
+  const checkFiles = async (files, startProgress, endProgress) => {
+    const badFiles = [];
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      report.checked++;
+
+      if (!(await isFileValid(file.path, file.sha1, file.size))) {
+        const reason = fs.existsSync(file.path) ? "corrupted" : "missing";
+        report.corrupted.push({ path: path.relative(MINECRAFT_DIR, file.path), reason });
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+        badFiles.push(file);
+      }
+
+      if (onProgress) {
+        onProgress(startProgress + ((i + 1) / files.length) * (endProgress - startProgress));
+      }
+    }
+
+    if (badFiles.length === 0) return;
+
+    const result = await downloadAll(badFiles, { phase: "repair" });
+    const failedPaths = new Set(result.failed.map(file => file.path));
+
+    for (const file of badFiles) {
+      const relativePath = path.relative(MINECRAFT_DIR, file.path);
+      if (failedPaths.has(file.path)) {
+        const failure = result.failed.find(failed => failed.path === file.path);
+        console.warn(`Failed to repair ${relativePath}: ${failure.error}`);
+        report.failed.push({ path: relativePath, error: failure.error });
+      } else {
+        report.repaired.push(relativePath);
+      }
+    }
+  };
+
+  // The asset index has to be valid before its objects can be listed
+  await checkFiles(getVersionFiles(version, versionData), 0, 20);
+  await checkFiles(getAssetObjectFiles(versionData), 20, 100);
+
+  if (report.failed.length === 0) {
+    markVersionVerified(version);
+  }
+
+  console.log(
+    `✅ Verified ${report.checked} files for ${version}: ` +
+    `${report.corrupted.length} bad, ${report.repaired.length} repaired, ${report.failed.length} failed`
+  );
+
+  return report;
+}
+
 function extractNatives(versionData, nativesDir) {
   // Clean up old natives
   if (fs.existsSync(nativesDir)) {
@@ -405,32 +753,17 @@ function extractNatives(versionData, nativesDir) {
   
   if (!versionData.libraries) return;
   
-  const osName = os.platform();
-  const libraries = versionData.libraries.filter(shouldUseLibrary);
+  const libraries = getLibrariesForPlatform(versionData.libraries);
   
   console.log("Extracting native libraries...");
   
   for (const library of libraries) {
-    if (!library.downloads || !library.downloads.classifiers || !library.natives) {
-      continue;
-    }
-    
-    let nativeKey = null;
-    if (osName === "win32" && library.natives.windows) {
-      nativeKey = library.natives.windows.replace("${arch}", process.arch === "x64" ? "64" : "32");
-    } else if (osName === "darwin" && library.natives.osx) {
-      nativeKey = library.natives.osx.replace("${arch}", process.arch === "x64" ? "64" : "32");
-    } else if (osName === "linux" && library.natives.linux) {
-      nativeKey = library.natives.linux.replace("${arch}", process.arch === "x64" ? "64" : "32");
-    }
-    
-    if (!nativeKey || !library.downloads.classifiers[nativeKey]) {
+    const nativeInfo = getNativesArtifact(library);
+    if (!nativeInfo) {
       continue;
     }
     
-    const nativeInfo = library.downloads.classifiers[nativeKey];
-    const nativePath = nativeInfo.path;
-    const nativeFilePath = path.join(LIBRARIES_DIR, nativePath);
+    const nativeFilePath = path.join(LIBRARIES_DIR, nativeInfo.path);
     
     if (!fs.existsSync(nativeFilePath)) {
       console.warn(`Native library not found: ${nativeFilePath}`);
@@ -471,318 +804,15 @@ function extractNatives(versionData, nativesDir) {
   console.log("Native extraction complete");
 }
 
-function getJavaVersion(javaPath = "java") {
-  try {
-    const output = execSync(`"${javaPath}" -version 2>&1`, {
-      encoding: "utf8",
-      timeout: 5000
-    });
-
-    // Java 8 format: "1.8.0_xxx"
-    const legacy = output.match(/version\s+"1\.(\d+)/);
-    if (legacy) {
-      return parseInt(legacy[1], 10);
-    }
-
-    // Java 9+ format: "17.0.10", "21.0.1", etc
-    const modern = output.match(/version\s+"(\d+)/);
-    if (modern) {
-      return parseInt(modern[1], 10);
-    }
-  } catch {
-    return null;
-  }
-  return null;
-}
-
-
-function findAllJavaInstallations() {
-  const javaInstallations = [];
-  const seenPaths = new Set(); // Track unique paths to avoid duplicates
-  
-  // Helper function to add Java if valid and not duplicate
-  const addJavaIfValid = (javaPath, vendor = "Unknown") => {
-    if (seenPaths.has(javaPath)) return;
-    
-    const version = getJavaVersion(javaPath);
-    if (version !== null) {
-      seenPaths.add(javaPath);
-      javaInstallations.push({ path: javaPath, version, vendor });
-    }
-  };
-  
-  // Priority 1: Try JAVA_HOME
-  if (process.env.JAVA_HOME) {
-    const javaHome = process.env.JAVA_HOME;
-    const javaPath = os.platform() === "win32" 
-      ? path.join(javaHome, "bin", "java.exe")
-      : path.join(javaHome, "bin", "java");
-    
-    if (fs.existsSync(javaPath)) {
-      addJavaIfValid(javaPath, "JAVA_HOME");
-    }
-  }
-  
-  // Priority 2: Search common installation directories
-  if (os.platform() === "win32") {
-    const programFiles = process.env["ProgramFiles"] || "C:\\Program Files";
-    const programFilesX86 = process.env["ProgramFiles(x86)"] || "C:\\Program Files (x86)";
-    
-    // Common Java distribution directories
-    const javaVendors = [
-      { name: "Eclipse Adoptium", vendor: "Adoptium" },
-      { name: "Temurin", vendor: "Adoptium" },
-      { name: "Java", vendor: "Oracle" },
-      { name: "OpenJDK", vendor: "OpenJDK" },
-      { name: "Zulu", vendor: "Azul Zulu" },
-      { name: "Azul", vendor: "Azul Zulu" },
-      { name: "Amazon Corretto", vendor: "Amazon Corretto" },
-      { name: "Corretto", vendor: "Amazon Corretto" },
-      { name: "Microsoft", vendor: "Microsoft" },
-      { name: "BellSoft", vendor: "Liberica" },
-      { name: "Liberica", vendor: "Liberica" },
-      { name: "GraalVM", vendor: "GraalVM" },
-      { name: "SapMachine", vendor: "SAP" },
-      { name: "Semeru", vendor: "IBM Semeru" },
-      { name: "RedHat", vendor: "Red Hat" }
-    ];
-    
-    for (const base of [programFiles, programFilesX86]) {
-      for (const { name, vendor } of javaVendors) {
-        try {
-          const vendorPath = path.join(base, name);
-          if (!fs.existsSync(vendorPath)) continue;
-          
-          const dirs = fs.readdirSync(vendorPath);
-          // Sort to try newer versions first
-          dirs.sort().reverse();
-          
-          for (const dir of dirs) {
-            const javaPath = path.join(vendorPath, dir, "bin", "java.exe");
-            if (fs.existsSync(javaPath)) {
-              addJavaIfValid(javaPath, vendor);
-            }
-          }
-        } catch (e) {
-          // Ignore errors and continue
-        }
-      }
-      
-      // Also check direct Program Files for jdk/jre folders
-      try {
-        const items = fs.readdirSync(base);
-        for (const item of items) {
-          if (item.toLowerCase().includes("jdk") || item.toLowerCase().includes("jre")) {
-            const javaPath = path.join(base, item, "bin", "java.exe");
-            if (fs.existsSync(javaPath)) {
-              addJavaIfValid(javaPath, "Generic");
-            }
-          }
-        }
-      } catch (e) {}
-    }
-  } else if (os.platform() === "darwin") {
-    // macOS common paths
-    const macPaths = [
-      "/Library/Java/JavaVirtualMachines",
-      "/System/Library/Java/JavaVirtualMachines",
-      path.join(os.homedir(), "Library/Java/JavaVirtualMachines")
-    ];
-    
-    for (const basePath of macPaths) {
-      try {
-        if (!fs.existsSync(basePath)) continue;
-        
-        const jvms = fs.readdirSync(basePath);
-        for (const jvm of jvms) {
-          const javaPath = path.join(basePath, jvm, "Contents", "Home", "bin", "java");
-          if (fs.existsSync(javaPath)) {
-            let vendor = "Unknown";
-            if (jvm.toLowerCase().includes("temurin") || jvm.toLowerCase().includes("adoptium")) vendor = "Adoptium";
-            else if (jvm.toLowerCase().includes("zulu")) vendor = "Azul Zulu";
-            else if (jvm.toLowerCase().includes("corretto")) vendor = "Amazon Corretto";
-            else if (jvm.toLowerCase().includes("liberica")) vendor = "Liberica";
-            else if (jvm.toLowerCase().includes("graalvm")) vendor = "GraalVM";
-            else if (jvm.toLowerCase().includes("openjdk")) vendor = "OpenJDK";
-            else if (jvm.toLowerCase().includes("oracle")) vendor = "Oracle";
-            
-            addJavaIfValid(javaPath, vendor);
-          }
-        }
-      } catch (e) {}
-    }
-  } else if (os.platform() === "linux") {
-    // Linux common paths
-    const linuxPaths = [
-      "/usr/lib/jvm",
-      "/usr/java",
-      "/opt/java",
-      "/opt/jdk",
-      path.join(os.homedir(), ".sdkman/candidates/java")
-    ];
-    
-    for (const basePath of linuxPaths) {
-      try {
-        if (!fs.existsSync(basePath)) continue;
-        
-        const jvms = fs.readdirSync(basePath);
-        for (const jvm of jvms) {
-          const javaPath = path.join(basePath, jvm, "bin", "java");
-          if (fs.existsSync(javaPath)) {
-            let vendor = "Unknown";
-            if (jvm.toLowerCase().includes("temurin") || jvm.toLowerCase().includes("adoptium")) vendor = "Adoptium";
-            else if (jvm.toLowerCase().includes("zulu")) vendor = "Azul Zulu";
-            else if (jvm.toLowerCase().includes("corretto")) vendor = "Amazon Corretto";
-            else if (jvm.toLowerCase().includes("liberica")) vendor = "Liberica";
-            else if (jvm.toLowerCase().includes("graalvm")) vendor = "GraalVM";
-            else if (jvm.toLowerCase().includes("openjdk")) vendor = "OpenJDK";
-            else if (jvm.toLowerCase().includes("oracle")) vendor = "Oracle";
-            
-            addJavaIfValid(javaPath, vendor);
-          }
-        }
-      } catch (e) {}
-    }
-  }
-  
-  // Priority 3: Try java in PATH
-  addJavaIfValid("java", "PATH");
-  
-  // Priority 4: Try versioned java commands in PATH
-  for (let v = 25; v >= 8; v--) {
-    const javaCmd = os.platform() === "win32" ? `java${v}.exe` : `java${v}`;
-    addJavaIfValid(javaCmd, `PATH (Java ${v})`);
-  }
-  
-  // Remove duplicates based on path (already done with seenPaths)
-  // Sort by version (highest first)
-  return javaInstallations.sort((a, b) => b.version - a.version);
-}
-
-function findBuiltInJavaInstallations() {
-  const javaPaths = [];
-  
-  // Try multiple possible app directories
-  let appDir = null;
-  const possibleDirs = [
-    process.env.PORTABLE_EXECUTABLE_DIR,                    // Portable mode
-    path.dirname(process.execPath),                         // Electron app exe
-    path.dirname(process.argv[0]),                          // Alternative
-    process.env.ELECTRON_EXE ? path.dirname(process.env.ELECTRON_EXE) : null,
-    __dirname,                                              // Current module directory
-  ].filter(Boolean);
-  
-  console.log("=== Built-in Java Detection Debug ===");
-  console.log(`process.execPath: ${process.execPath}`);
-  console.log(`__dirname: ${__dirname}`);
-  console.log(`process.argv[0]: ${process.argv[0]}`);
-  
-  // Try to find the java directory
-  for (const dir of possibleDirs) {
-    const javaDir = path.join(dir, "java");
-    console.log(`Checking for java directory at: ${javaDir} - Exists: ${fs.existsSync(javaDir)}`);
-    if (fs.existsSync(javaDir)) {
-      appDir = dir;
-      console.log(`✓ Found java directory at: ${javaDir}`);
-      break;
-    }
-  }
-  
-  if (!appDir) {
-    console.log("❌ Could not find java directory in any expected location");
-    return javaPaths;
-  }
-
-  const builtInJavaBaseDir = path.join(appDir, "java");
-  
-  try {
-    // Support Windows and cross-platform structure
-    const winJavaDir = path.join(builtInJavaBaseDir, "win");
-    const macJavaDir = path.join(builtInJavaBaseDir, "mac");
-    const linuxJavaDir = path.join(builtInJavaBaseDir, "linux");
-    
-    const osName = os.platform();
-    console.log(`Detected OS: ${osName}`);
-    
-    let platformJavaDir = null;
-    let executable = "javaw.exe";
-    
-    if (osName === "win32") {
-      platformJavaDir = winJavaDir;
-      executable = "javaw.exe";
-    } else if (osName === "darwin") {
-      platformJavaDir = macJavaDir;
-      executable = "java";
-    } else if (osName === "linux") {
-      platformJavaDir = linuxJavaDir;
-      executable = "java";
-    }
-    
-    console.log(`Platform Java directory: ${platformJavaDir}`);
-    console.log(`Platform Java directory exists: ${fs.existsSync(platformJavaDir)}`);
-    
-    if (!platformJavaDir || !fs.existsSync(platformJavaDir)) {
-      console.log(`❌ No built-in Java found for platform: ${osName}`);
-      return javaPaths;
-    }
-    
-    // Scan for Java installations following Zulu naming convention
-    const javaFolders = fs.readdirSync(platformJavaDir);
-    console.log(`Found ${javaFolders.length} folder(s): ${javaFolders.join(", ")}`);
-    
-    for (const folder of javaFolders) {
-      const folderPath = path.join(platformJavaDir, folder);
-      const stat = fs.statSync(folderPath);
-      
-      // Skip non-directories
-      if (!stat.isDirectory()) {
-        console.log(`  ❌ ${folder}: Not a directory, skipping`);
-        continue;
-      }
-      
-      const binPath = path.join(folderPath, "bin");
-      const javaExe = path.join(binPath, executable);
-      
-      console.log(`\nChecking folder: ${folder}`);
-      console.log(`  - Bin path exists: ${fs.existsSync(binPath)}`);
-      console.log(`  - Java exe exists: ${fs.existsSync(javaExe)}`);
-      
-      if (!fs.existsSync(binPath) || !fs.existsSync(javaExe)) {
-        console.log(`  ❌ Skipped: Missing bin directory or executable`);
-        continue;
-      }
-      
-      try {
-        // Extract version from folder name (e.g., "zulu8.92.0.19-ca-jre8.0.482-win_x64")
-        const versionMatch = folder.match(/zulu(\d+)/);
-        
-        if (!versionMatch) {
-          console.log(`  ❌ Skipped: Folder name doesn't contain 'zulu' + number`);
-          continue;
-        }
-        
-        const version = parseInt(versionMatch[1], 10);
-        
-        javaPaths.push({
-          version: version,
-          path: javaExe,
-          vendor: "Zulu (Built-in)",
-          isBuiltIn: true
-        });
-        
-        console.log(`  ✓ Found built-in Java ${version}`);
-      } catch (err) {
-        console.warn(`  ❌ Error processing Java folder ${folder}: ${err.message}`);
-      }
-    }
-    
-    console.log(`\n=== Total built-in Java found: ${javaPaths.length} ===\n`);
-    return javaPaths;
-  } catch (error) {
-    console.error(`❌ Error scanning built-in Java directory: ${error.message}`);
-    console.error(error.stack);
-    return javaPaths;
+/**
+ * The Mojang java-runtime component a version runs on. Versions older than the
+ * `javaVersion` field all ran on Java 8, which Mojang ships as "jre-legacy".
+ */
+function getJavaRuntimeComponent(versionData, requiredJavaVersion) {
+  if (versionData.javaVersion && versionData.javaVersion.component) {
+    return versionData.javaVersion.component;
   }
+  return requiredJavaVersion <= 8 ? "jre-legacy" : null;
 }
 
 function getRequiredJavaVersion(versionData) {
@@ -856,16 +886,254 @@ function selectBestJavaForVersion(requiredVersion, availableJava) {
   return null;
 }
 
+/**
+ * Map the current platform to the OS names used in version JSON rules
+ */
+function getOsName() {
+  switch (os.platform()) {
+    case "win32":
+      return "windows";
+    case "darwin":
+      return "osx";
+    default:
+      return "linux";
+  }
+}
+
+/**
+ * Normalize the many spellings of CPU architectures (Node, Java and Mojang's) to one set
+ */
+function normalizeArch(arch) {
+  switch (String(arch).toLowerCase()) {
+    case "x64":
+    case "amd64":
+    case "x86_64":
+    case "64":
+      return "x86_64";
+    case "ia32":
+    case "x86":
+    case "i386":
+    case "32":
+      return "x86";
+    case "arm64":
+    case "aarch64":
+      return "arm64";
+    case "arm":
+    case "arm32":
+      return "arm32";
+    default:
+      return String(arch).toLowerCase();
+  }
+}
+
+/**
+ * Describe the running platform in the terms version JSON rules use
+ */
+function getPlatform() {
+  const arch = normalizeArch(process.arch);
+  return {
+    name: getOsName(),
+    arch,
+    version: os.release(),
+    isArm: arch === "arm64" || arch === "arm32",
+  };
+}
+
+/**
+ * Match a rule's os.name, which third-party metadata sometimes suffixes with an
+ * architecture (e.g. "linux-arm64", "osx-arm64")
+ */
+function osNameMatches(ruleName, platform) {
+  const separator = ruleName.indexOf("-");
+  const name = separator === -1 ? ruleName : ruleName.substring(0, separator);
+  const arch = separator === -1 ? null : ruleName.substring(separator + 1);
+
+  if (name !== platform.name) return false;
+  return !arch || normalizeArch(arch) === platform.arch;
+}
+
+/**
+ * Parse an LWJGL natives classifier such as "natives-macos-arm64" or "natives-windows-x86"
+ */
+function parseNativesClassifier(classifier) {
+  const match = /^natives-(windows|macos|osx|linux)(?:-(.+))?$/.exec(classifier);
+  if (!match) return null;
+
+  return {
+    name: match[1] === "macos" ? "osx" : match[1],
+    arch: match[2] ? normalizeArch(match[2]) : "x86_64",
+  };
+}
+
+/**
+ * Check whether a single rule applies to this machine and feature set
+ */
+function ruleMatches(rule, features = {}) {
+  if (rule.os) {
+    const platform = getPlatform();
+
+    if (rule.os.name && !osNameMatches(rule.os.name, platform)) {
+      return false;
+    }
+
+    if (rule.os.arch && normalizeArch(rule.os.arch) !== platform.arch) {
+      return false;
+    }
+
+    if (rule.os.version) {
+      try {
+        if (!new RegExp(rule.os.version).test(platform.version)) {
+          return false;
+        }
+      } catch (error) {
+        console.warn(`Invalid os.version pattern in rule: ${rule.os.version}`);
+        return false;
+      }
+    }
+  }
+
+  if (rule.features) {
+    for (const [feature, expected] of Object.entries(rule.features)) {
+      if (Boolean(features[feature]) !== expected) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate a rules array the way the vanilla launcher does: the last matching rule wins
+ */
+function isAllowedByRules(rules, features = {}) {
+  if (!rules || rules.length === 0) return true;
+
+  let allowed = false;
+  for (const rule of rules) {
+    if (ruleMatches(rule, features)) {
+      allowed = rule.action === "allow";
+    }
+  }
+  return allowed;
+}
+
+/**
+ * Replace every ${...} placeholder in a string, leaving unknown ones untouched
+ */
+function substitutePlaceholders(template, values) {
+  return template.replace(/\$\{([^}]+)\}/g, (match, key) => {
+    if (Object.prototype.hasOwnProperty.call(values, key) && values[key] !== null && values[key] !== undefined) {
+      return String(values[key]);
+    }
+    return match;
+  });
+}
+
+/**
+ * Resolve an `arguments.game` / `arguments.jvm` array into plain strings
+ */
+function resolveArguments(args, values, features) {
+  const resolved = [];
+
+  for (const arg of args || []) {
+    if (typeof arg === "string") {
+      resolved.push(substitutePlaceholders(arg, values));
+      continue;
+    }
+
+    if (!arg || !isAllowedByRules(arg.rules, features)) {
+      continue;
+    }
+
+    const argValues = Array.isArray(arg.value) ? arg.value : [arg.value];
+    for (const value of argValues) {
+      resolved.push(substitutePlaceholders(value, values));
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Build the JVM and game arguments for a version, supporting both the modern
+ * `arguments` object (1.13+) and the legacy `minecraftArguments` string
+ */
+function buildLaunchArguments(versionData, values, features = {}) {
+  if (versionData.arguments && !versionData.minecraftArguments) {
+    return {
+      jvmArgs: resolveArguments(versionData.arguments.jvm || LEGACY_JVM_ARGUMENTS, values, features),
+      gameArgs: resolveArguments(versionData.arguments.game, values, features),
+    };
+  }
+
+  // Split before substituting so paths containing spaces stay a single argument
+  const gameArgs = (versionData.minecraftArguments || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(arg => substitutePlaceholders(arg, values));
+
+  // Legacy versions have no feature rules, so append the equivalent flags ourselves
+  if (features.is_demo_user) {
+    gameArgs.push("--demo");
+  }
+  if (features.has_custom_resolution) {
+    gameArgs.push("--width", String(values.resolution_width), "--height", String(values.resolution_height));
+  }
+
+  // A mod loader on top of a legacy version can still bring `arguments` of its own
+  const extraArguments = versionData.arguments || {};
+
+  return {
+    jvmArgs: [
+      ...resolveArguments(LEGACY_JVM_ARGUMENTS, values, features),
+      ...resolveArguments(extraArguments.jvm, values, features),
+    ],
+    gameArgs: [...gameArgs, ...resolveArguments(extraArguments.game, values, features)],
+  };
+}
+
+/**
+ * JVM flags of a GC preset, or none when the preset needs a newer Java than the one launching
+ */
+function getGcPresetArguments(presetName, javaVersion) {
+  const preset = presetName ? GC_PRESETS[presetName] : null;
+  if (!preset) return [];
+
+  if (javaVersion && javaVersion < preset.minJava) {
+    console.warn(`⚠️  GC preset "${presetName}" needs Java ${preset.minJava} or newer, using the JVM's default GC`);
+    return [];
+  }
+  return preset.args;
+}
+
+/**
+ * Split a user-entered argument string on whitespace, keeping quoted parts together
+ */
+function splitArguments(argString) {
+  if (!argString || typeof argString !== "string") return [];
+
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(argString)) !== null) {
+    args.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return args;
+}
+
 function buildClassPath(version, versionData) {
   const classPath = [];
   const missingLibraries = [];
   
-  const versionJar = path.join(VERSIONS_DIR, version, `${version}.jar`);
+  // Mod loader versions run on the client JAR of the version they inherit from
+  const jarVersion = versionData.jar || version;
+  const versionJar = path.join(VERSIONS_DIR, jarVersion, `${jarVersion}.jar`);
   if (fs.existsSync(versionJar)) {
     classPath.push(versionJar);
   } else {
     console.warn(`⚠️  Version JAR not found: ${versionJar}`);
-    missingLibraries.push(`${version}.jar`);
+    missingLibraries.push(`${jarVersion}.jar`);
   }
   
   if (versionData.libraries) {
@@ -873,12 +1141,7 @@ function buildClassPath(version, versionData) {
     let skippedCount = 0;
     let nativeOnlyCount = 0;
     
-    for (const library of versionData.libraries) {
-      // Skip if this library shouldn't be used for this OS
-      if (!shouldUseLibrary(library)) {
-        continue;
-      }
-      
+    for (const library of getLibrariesForPlatform(versionData.libraries)) {
       // Skip native-only libraries (those with classifiers but no artifact)
       // These should only be extracted, not added to classpath
       if (library.downloads && library.downloads.classifiers && !library.downloads.artifact) {
@@ -922,7 +1185,79 @@ function buildClassPath(version, versionData) {
   return classPath.join(path.delimiter);
 }
 
-function launchMinecraft(versionId, account, username, ramAllocation, onProgress) {
+/**
+ * Map a phase's own 0-100% onto a slice of the overall progress bar
+ */
+function phaseReporter(onProgress, start, end) {
+  return (progress) => {
+    if (onProgress) {
+      onProgress({ ...progress, overall: start + (progress.percent / 100) * (end - start) });
+    }
+  };
+}
+
+/**
+ * Download everything a version needs to start: client JAR, libraries, assets and logging
+ * config. Does nothing for a version that was fully installed and verified before.
+ * Returns `{ skipped, failed }`, failing outright only when the client JAR can't be downloaded.
+ *
+ * Options: `concurrency`, `signal` and `onProgress`.
+ */
+async function installVersion(version, versionData, options = {}) {
+  const { onProgress, ...downloadOptions } = options;
+  const reportPhase = (start, end) => phaseReporter(onProgress, start, end);
+
+  if (isVersionInstalled(version, versionData)) {
+    console.log(`✓ ${version} is already installed and verified, skipping downloads`);
+    return { skipped: true, failed: [] };
+  }
+
+  // Hand-made or broken version JSONs may not say where the game itself comes from
+  if (!versionData.downloads || !versionData.downloads.client || !versionData.downloads.client.url) {
+    throw new Error(`The version JSON of ${version} has no client download, reinstall it or pick another version`);
+  }
+
+  // Download client JAR
+  const jarVersion = versionData.jar || version;
+  const versionDir = path.join(VERSIONS_DIR, jarVersion);
+  if (!fs.existsSync(versionDir)) {
+    fs.mkdirSync(versionDir, { recursive: true });
+  }
+  const clientJar = path.join(versionDir, `${jarVersion}.jar`);
+
+  if (versionData.inheritsFrom) {
+    await copyInheritedClientJar(versionData, clientJar);
+  }
+
+  const clientResult = await downloadAll([{
+    name: `${jarVersion}.jar`,
+    path: clientJar,
+    url: versionData.downloads.client.url,
+    sha1: versionData.downloads.client.sha1,
+    size: versionData.downloads.client.size,
+  }], { ...downloadOptions, phase: "client", onProgress: reportPhase(5, 35) });
+
+  if (clientResult.failed.length > 0) {
+    throw new Error(`Failed to download Minecraft ${version}: ${clientResult.failed[0].error}`);
+  }
+
+  // Download libraries
+  const libraryResult = await downloadLibraries(versionData, reportPhase(35, 85), downloadOptions);
+
+  // Download assets
+  const assetResult = await downloadAssets(versionData, reportPhase(85, 100), downloadOptions);
+
+  // Download the log4j configuration
+  const loggingResult = await downloadLoggingConfig(versionData, downloadOptions);
+
+  const failed = [...libraryResult.failed, ...assetResult.failed, ...loggingResult.failed];
+  if (failed.length === 0) {
+    markVersionVerified(version);
+  }
+  return { skipped: false, failed };
+}
+
+function launchMinecraft(versionId, account, username, ramAllocation, onProgress, launchOptions = {}) {
   // Handle backward compatibility
   if (typeof versionId === "function") {
     onProgress = versionId;
@@ -946,79 +1281,70 @@ function launchMinecraft(versionId, account, username, ramAllocation, onProgress
     ramAllocation = 2048;
   }
   
+  // Instances each get their own game directory; libraries, assets and versions stay shared
+  const gameDir = launchOptions.gameDirectory || MINECRAFT_DIR;
+  fs.mkdirSync(gameDir, { recursive: true });
+
+  const downloadOptions = {
+    concurrency: launchOptions.downloadConcurrency || DEFAULT_CONCURRENCY,
+    signal: launchOptions.signal,
+  };
+
+  const reportPhase = (start, end) => phaseReporter(onProgress, start, end);
+  
   return new Promise(async (resolve, reject) => {
     try {
-      if (onProgress) onProgress(0);
+      reportPhase(0, 5)({ phase: "version", percent: 0 });
       
       // Get version data
       const { version, versionData } = await getVersionData(versionId);
-      if (onProgress) onProgress(5);
-      
-      // Download client JAR
-      const versionDir = path.join(VERSIONS_DIR, version);
-      if (!fs.existsSync(versionDir)) {
-        fs.mkdirSync(versionDir, { recursive: true });
-      }
-      const clientJar = path.join(versionDir, `${version}.jar`);
-      
-      if (!fs.existsSync(clientJar) || fs.statSync(clientJar).size === 0) {
-        await downloadFile(
-          versionData.downloads.client.url,
-          clientJar,
-          (progress) => {
-            if (onProgress) onProgress(5 + progress * 0.3);
-          }
-        );
-      }
-      if (onProgress) onProgress(35);
+      reportPhase(0, 5)({ phase: "version", percent: 100 });
       
-      // Download libraries
-      await downloadLibraries(versionData, (progress) => {
-        if (onProgress) onProgress(35 + progress * 0.5);
-      });
-      if (onProgress) onProgress(85);
+      await installVersion(version, versionData, { ...downloadOptions, onProgress });
       
-      // Download assets
-      await downloadAssets(versionData, onProgress);
-      if (onProgress) onProgress(100);
+      // Pre-1.7.3 versions can't read the hashed asset store directly
+      const gameAssetsDir = prepareLegacyAssets(versionData, gameDir);
       
       // Extract native libraries
-      const nativesDir = path.join(MINECRAFT_DIR, "natives");
+      const nativesDir = path.join(VERSIONS_DIR, version, "natives");
       extractNatives(versionData, nativesDir);
       
       // Determine required Java version
       const requiredJavaVersion = getRequiredJavaVersion(versionData);
       console.log(`Minecraft ${version} requires Java ${requiredJavaVersion}`);
       
-      // Find Java installations (prioritize built-in)
-      const builtInJava = findBuiltInJavaInstallations();
-      const systemJava = findAllJavaInstallations();
-      
-      // Combine with built-in Java first (so it takes priority)
-      const availableJava = [...builtInJava, ...systemJava];
-      
-      // Remove duplicates based on path
-      const uniqueJava = Array.from(
-        new Map(availableJava.map(j => [j.path, j])).values()
-      );
-      
-      if (uniqueJava.length === 0) {
-        reject(new Error(
-          `No Java installation found. Please ensure built-in Java is included with the launcher, ` +
-          `or install Java ${requiredJavaVersion} or later.\n` +
-          `You can download it from: https://adoptium.net/`
-        ));
-        return;
-      }
+      const uniqueJava = await getAvailableJavaInstallations();
       
       console.log(`Found ${uniqueJava.length} Java installation(s):`);
       uniqueJava.forEach(j => console.log(`  - Java ${j.version} (${j.vendor}) at ${j.path}`));
       
-      // Select best Java for this version
-      const selectedJava = selectBestJavaForVersion(requiredJavaVersion, uniqueJava);
+      // Use the instance's Java when it has one, otherwise pick the best match for this version
+      let selectedJava = null;
+      if (launchOptions.javaPath) {
+        if (!fs.existsSync(launchOptions.javaPath)) {
+          reject(new Error(`Java not found at ${launchOptions.javaPath}`));
+          return;
+        }
+        selectedJava = uniqueJava.find(j => j.path === launchOptions.javaPath) || {
+          vendor: "Custom",
+          ...(await getJavaInfo(launchOptions.javaPath)),
+          path: launchOptions.javaPath,
+        };
+      } else {
+        selectedJava = selectBestJavaForVersion(requiredJavaVersion, uniqueJava);
+        
+        // Nothing suitable installed: download the runtime Mojang ships for this version
+        const runtimeComponent = getJavaRuntimeComponent(versionData, requiredJavaVersion);
+        if (!selectedJava && runtimeComponent && getRuntimePlatform()) {
+          selectedJava = await installJavaRuntime(runtimeComponent, {
+            signal: downloadOptions.signal,
+            onProgress: reportPhase(0, 100),
+          });
+        }
+      }
       
       if (!selectedJava) {
-        const availableVersions = availableJava.map(j => j.version).join(", ");
+        const availableVersions = uniqueJava.map(j => j.version).join(", ") || "none";
         reject(new Error(
           `No compatible Java found for Minecraft ${version}.\n` +
           `Required: Java ${requiredJavaVersion} or later\n` +
@@ -1029,114 +1355,156 @@ function launchMinecraft(versionId, account, username, ramAllocation, onProgress
       }
       
       console.log(`Selected Java ${selectedJava.version} (${selectedJava.vendor}) at: ${selectedJava.path}`);
+      if (selectedJava.version && selectedJava.version < requiredJavaVersion) {
+        console.warn(`⚠️  Java ${selectedJava.version} is older than the Java ${requiredJavaVersion} Minecraft ${version} needs, it may not start`);
+      }
+      ramAllocation = fitAllocationToJava(ramAllocation, selectedJava);
       
       // Build classpath
       const classPath = buildClassPath(version, versionData);
       
-      console.log(`\n=== MINECRAFT LAUNCH DEBUG ===`);
-      console.log(`Classpath length: ${classPath.length} chars`);
-      console.log(`Total classpath entries: ${classPath.split(path.delimiter).length}`);
-      console.log(`Classpath preview: ${classPath.substring(0, 200)}...`);
-      console.log(`Classpath end: ...${classPath.substring(classPath.length - 100)}`);
-      
       // Get main class
       const mainClass = versionData.mainClass || "net.minecraft.client.main.Main";
-      console.log(`Main class: ${mainClass}`);
-      console.log(`Version data keys: ${Object.keys(versionData).join(", ")}`);
       
       //+++++++++++Auth args++++++++++++
-      const { getSelectedAccount } = require("./accounts");
+      // Callers that predate the account parameter get the selected account
+      if (!account || typeof account !== "object") {
+        account = getSelectedAccount();
+      }
 
-const account = getSelectedAccount();
+      if (!account) {
+        throw new Error("No account selected");
+      }
 
-if (!account) {
-  throw new Error("No account selected");
-}
+      console.log(`Account: ${account.username} (${account.type})`);
 
-console.log(`Account: ${account.username} (${account.type})`);
+      const isMicrosoft = account.type === "microsoft";
+      const isYggdrasil = account.type === "yggdrasil";
+      const hasSession = isMicrosoft || isYggdrasil;
+      const quickPlay = launchOptions.quickPlay || null;
+      const resolution = launchOptions.resolution || null;
 
-let authArgs;
+      const features = {
+        is_demo_user: isMicrosoft && account.ownsGame === false,
+        has_custom_resolution: Boolean(resolution),
+        has_quick_plays_support: Boolean(quickPlay),
+        is_quick_play_singleplayer: quickPlay?.type === "singleplayer",
+        is_quick_play_multiplayer: quickPlay?.type === "multiplayer",
+        is_quick_play_realms: quickPlay?.type === "realms",
+      };
 
-if (account.type === "microsoft") {
-  authArgs = [
-    "--username", account.username,
-    "--uuid", account.uuid,
-    "--accessToken", account.accessToken,
-    "--userType", "msa"
-  ];
-} else {
-  // Offline account
-  authArgs = [
-    "--username", account.username,
-    "--uuid", "00000000-0000-0000-0000-000000000000",
-    "--accessToken", "0",
-    "--userType", "legacy"
-  ];
-}
+      // Offline players get the UUID servers in offline mode derive from the name, so each keeps their own data
+      const authUuid = hasSession ? account.uuid : account.uuid || getOfflineUuid(account.username);
+      const authAccessToken = hasSession ? account.accessToken : "0";
 
-               
-      // Build JVM arguments
-      // Minecraft 1.8 uses minecraftArguments, newer versions use game arguments
-      let gameArgs = [];
-      
-      if (versionData.minecraftArguments) {
-        // Old format (Minecraft 1.8)
-        const argsTemplate = versionData.minecraftArguments;
-        gameArgs = argsTemplate
-          .replace("${auth_player_name}", account.username)
-          .replace("${version_name}", version)
-          .replace("${game_directory}", MINECRAFT_DIR)
-          .replace("${assets_root}", ASSETS_DIR)
-          .replace("${assets_index_name}", versionData.assetIndex?.id || "")
-          .replace("${auth_access_token}", account.type === "microsoft" ? account.accessToken : "0")
-          .replace("${user_type}", account.type === "microsoft" ? "msa" : "legacy")
-          .replace("${auth_uuid}", account.type === "microsoft" ? account.uuid : "00000000-0000-0000-0000-000000000000")
-          .replace("${user_properties}", "{}")
-          .split(" ");
-      } else {
-        // New format (Minecraft 1.13+)
-        gameArgs = [
-          "--version", version,
-          "--gameDir", MINECRAFT_DIR,
-          "--assetsDir", ASSETS_DIR,
-          "--assetIndex", versionData.assetIndex?.id || "",
-          ...authArgs,
-          "--versionType", "release"
-        ];
-      }
-      
-      const jvmArgs = [
+      const argumentValues = {
+        auth_player_name: account.username,
+        auth_uuid: authUuid,
+        auth_access_token: authAccessToken,
+        auth_session: hasSession ? `token:${authAccessToken}:${authUuid}` : "-",
+        auth_xuid: account.xuid || "0",
+        clientid: account.clientId || "0",
+        user_type: isMicrosoft ? "msa" : isYggdrasil ? "mojang" : "legacy",
+        user_properties: "{}",
+        version_name: version,
+        version_type: versionData.type || "release",
+        game_directory: gameDir,
+        assets_root: ASSETS_DIR,
+        game_assets: gameAssetsDir,
+        assets_index_name: versionData.assetIndex?.id || "",
+        natives_directory: nativesDir,
+        library_directory: LIBRARIES_DIR,
+        classpath: classPath,
+        classpath_separator: path.delimiter,
+        launcher_name: LAUNCHER_NAME,
+        launcher_version: LAUNCHER_VERSION,
+        resolution_width: resolution?.width,
+        resolution_height: resolution?.height,
+        quickPlayPath: quickPlay ? path.join(gameDir, "quickPlay", "log.json") : null,
+        quickPlaySingleplayer: quickPlay?.type === "singleplayer" ? quickPlay.target : null,
+        quickPlayMultiplayer: quickPlay?.type === "multiplayer" ? quickPlay.target : null,
+        quickPlayRealms: quickPlay?.type === "realms" ? quickPlay.target : null,
+      };
+
+      const launchArgs = buildLaunchArguments(versionData, argumentValues, features);
+      const gameArgs = launchArgs.gameArgs;
+
+      const memoryArgs = [
         `-Xmx${ramAllocation}M`,
         `-Xms${Math.floor(ramAllocation / 2)}M`,
-        `-Djava.library.path=${nativesDir}`,
-        "-cp", classPath,
+      ];
+
+      const gcArgs = getGcPresetArguments(launchOptions.gcPreset, selectedJava.version);
+      const extraJvmArgs = [...gcArgs, ...splitArguments(launchOptions.jvmArgs)];
+      const loggingArgs = getLoggingArguments(versionData);
+      
+      // authlib-injector sends logins, skins and server joins to the account's own server
+      const authArgs = isYggdrasil
+        ? await getAuthlibInjectorArguments(account, { ...downloadOptions, onProgress: reportPhase(0, 100) })
+        : [];
+
+      const jvmArgs = [
+        ...memoryArgs,
+        ...authArgs,
+        ...extraJvmArgs,
+        ...loggingArgs,
+        ...launchArgs.jvmArgs,
         mainClass,
         ...gameArgs
       ];
       
       console.log(`\nTotal JVM args: ${jvmArgs.length}`);
-      console.log(`Memory settings: ${jvmArgs[0]}, ${jvmArgs[1]}`);
-      console.log(`Native library path: ${jvmArgs[2]}`);
+      console.log(`Memory settings: ${memoryArgs.join(", ")}`);
+      if (authArgs.length > 0) {
+        console.log(`Authentication server: ${account.apiRoot}`);
+      }
+      if (extraJvmArgs.length > 0) {
+        console.log(`Extra JVM args: ${extraJvmArgs.join(" ")}`);
+      }
+      if (loggingArgs.length > 0) {
+        console.log(`Logging args: ${loggingArgs.join(" ")}`);
+      }
+      console.log(`Native library path: ${nativesDir}`);
       console.log(`Main class: ${mainClass}`);
       console.log(`Game version: ${version}`);
-      console.log(`Game dir: ${MINECRAFT_DIR}`);
+      console.log(`Game dir: ${gameDir}`);
       console.log(`Username: ${account.username}`);
       console.log(`Game args format: ${versionData.minecraftArguments ? "Old (minecraftArguments)" : "New (game args)"}`);
-      if (gameArgs.length <= 20) {
-        console.log(`Game args: ${gameArgs.join(" ")}`);
+      console.log(`Enabled features: ${Object.keys(features).filter(f => features[f]).join(", ") || "none"}`);
+      const loggedGameArgs = gameArgs.map((arg, i) => gameArgs[i - 1] === "--accessToken" ? "<hidden>" : arg);
+      if (loggedGameArgs.length <= 20) {
+        console.log(`Game args: ${loggedGameArgs.join(" ")}`);
       } else {
-        console.log(`Game args: ${gameArgs.slice(0, 10).join(" ")} ... (${gameArgs.length} total)`);
+        console.log(`Game args: ${loggedGameArgs.slice(0, 10).join(" ")} ... (${loggedGameArgs.length} total)`);
       }
       console.log(`\nLaunching with: ${selectedJava.path}`);
-      console.log(`=== END DEBUG ===\n`);
+      
+      reportPhase(100, 100)({ phase: "launching", percent: 100 });
       
       // Launch Minecraft
+      const startedAt = Date.now();
       const child = spawn(selectedJava.path, jvmArgs, {
-        stdio: "inherit",
-        cwd: MINECRAFT_DIR
+        stdio: ["ignore", "pipe", "pipe"],
+        cwd: gameDir
+      });
+
+      // Every line goes to this launch's log file and, through onLog, to the log console
+      const sessionLog = createSessionLog(gameDir);
+      const logParser = createLogParser((entry) => {
+        sessionLog.write(entry);
+        if (launchOptions.onLog) launchOptions.onLog(entry);
       });
+      console.log(`Logging game output to ${sessionLog.path}`);
+
+      if (child.pid && launchOptions.onSpawn) {
+        launchOptions.onSpawn(child, { javaPath: selectedJava.path, javaVersion: selectedJava.version, version });
+      }
+
+      child.stdout.on("data", (chunk) => logParser.write(chunk, "stdout"));
+      child.stderr.on("data", (chunk) => logParser.write(chunk, "stderr"));
 
       child.on("error", (error) => {
+        sessionLog.close();
         if (error.code === "ENOENT") {
           reject(new Error("Java not found. Please install Java and ensure it's in your PATH."));
         } else {
@@ -1144,13 +1512,24 @@ if (account.type === "microsoft") {
         }
       });
 
-      child.on("close", (code) => {
-        if (code === 0) {
-          console.log(`✓ Minecraft exited successfully`);
-        } else {
-          console.log(`❌ Minecraft exited with code ${code}`);
+      child.on("close", async (code) => {
+        logParser.end();
+        await sessionLog.close();
+
+        if (code === 0 || child.killed) {
+          console.log(code === 0 ? `✓ Minecraft exited successfully` : `🛑 Minecraft was stopped`);
+          resolve({ exitCode: code, logFile: sessionLog.path });
+          return;
         }
-        resolve();
+
+        console.log(`❌ Minecraft exited with code ${code}`);
+        const crash = diagnoseCrash(code, {
+          gameDir,
+          startedAt,
+          logFile: sessionLog.path,
+          requiredJavaVersion,
+        });
+        resolve({ exitCode: code, logFile: sessionLog.path, crash });
       });
     } catch (err) {
       reject(err);
@@ -1158,5 +1537,19 @@ if (account.type === "microsoft") {
   });
 }
 
-module.exports = { launchMinecraft, getVersions, findAllJavaInstallations, findBuiltInJavaInstallations };
+module.exports = {
+  launchMinecraft,
+  getVersions,
+  getVersionData,
+  installVersion,
+  getLibraryFiles,
+  parseLibraryPath,
+  getJavaRuntimeComponent,
+  getRequiredJavaVersion,
+  selectBestJavaForVersion,
+  verifyAndRepairVersion,
+  MINECRAFT_DIR,
+  VERSIONS_DIR,
+  LIBRARIES_DIR,
+};
 
@@ -1,15 +1,51 @@
 const axios = require("axios");
-const { BrowserWindow } = require("electron");
 const crypto = require("crypto");
+const { getAllAccounts, updateMicrosoftAccount, setAccountNeedsLogin } = require("./accounts");
 
 // Microsoft OAuth2 Configuration
 // Fixed: Use the official Minecraft client_id
-const CLIENT_ID = "000000004C12AE6F"; // Corrected Minecraft client_id
-const REDIRECT_URI = "https://login.live.com/oauth20_desktop.srf";
+const DEFAULT_AUTH_CONFIG = {
+  clientId: "000000004C12AE6F", // Corrected Minecraft client_id
+  redirectUri: "https://login.live.com/oauth20_desktop.srf",
+  authority: "https://login.microsoftonline.com/consumers",
+  xboxUrl: "https://user.auth.xboxlive.com",
+  xstsUrl: "https://xsts.auth.xboxlive.com",
+  minecraftUrl: "https://api.minecraftservices.com",
+};
 const SCOPES = "XboxLive.signin offline_access";
 
+// Environment overrides, for the command line and for running against a local stand-in server
+const AUTH_CONFIG_ENV = {
+  clientId: "VOXEL_MS_CLIENT_ID",
+  redirectUri: "VOXEL_MS_REDIRECT_URI",
+  authority: "VOXEL_MS_AUTHORITY",
+  xboxUrl: "VOXEL_XBOX_AUTH_URL",
+  xstsUrl: "VOXEL_XSTS_AUTH_URL",
+  minecraftUrl: "VOXEL_MINECRAFT_SERVICES_URL",
+};
+
+const DEVICE_CODE_GRANT = "urn:ietf:params:oauth:grant-type:device_code";
+
 let authInProgress = false;
 
+/**
+ * The Azure client and endpoints to log in with: `overrides` (the msAuthConfig preference),
+ * then the environment, then the official ones
+ */
+function getAuthConfig(overrides = {}) {
+  const config = { ...DEFAULT_AUTH_CONFIG };
+
+  for (const [key, envName] of Object.entries(AUTH_CONFIG_ENV)) {
+    if (process.env[envName]) config[key] = process.env[envName];
+    if (overrides && overrides[key]) config[key] = overrides[key];
+  }
+
+  for (const key of ["authority", "xboxUrl", "xstsUrl", "minecraftUrl"]) {
+    config[key] = config[key].replace(/\/+$/, "");
+  }
+  return config;
+}
+
 /**
  * Generate PKCE challenge
  */
@@ -25,7 +61,10 @@ function generateCodeChallenge() {
 /**
  * Step 1: Open Microsoft login window and get authorization code
  */
-async function getMicrosoftAuthCode() {
+async function getMicrosoftAuthCode(config) {
+  // Only the launcher window logs in through a browser window, the CLI runs without Electron
+  const { BrowserWindow } = require("electron");
+
   if (authInProgress) {
     throw new Error("Authentication already in progress");
   }
@@ -34,10 +73,10 @@ async function getMicrosoftAuthCode() {
 
   const { verifier, challenge } = generateCodeChallenge();
   
-  const authUrl = `https://login.microsoftonline.com/consumers/oauth2/v2.0/authorize?` +
-    `client_id=${CLIENT_ID}` +
+  const authUrl = `${config.authority}/oauth2/v2.0/authorize?` +
+    `client_id=${encodeURIComponent(config.clientId)}` +
     `&response_type=code` +
-    `&redirect_uri=${encodeURIComponent(REDIRECT_URI)}` +
+    `&redirect_uri=${encodeURIComponent(config.redirectUri)}` +
     `&scope=${encodeURIComponent(SCOPES)}` +
     `&code_challenge=${challenge}` +
     `&code_challenge_method=S256` +
@@ -64,7 +103,7 @@ async function getMicrosoftAuthCode() {
     const handleUrl = (url) => {
       if (resolved) return;
 
-      if (url.includes("login.live.com/oauth20_desktop.srf")) {
+      if (url.startsWith(config.redirectUri)) {
         try {
           const urlObj = new URL(url);
           const code = urlObj.searchParams.get("code");
@@ -134,19 +173,19 @@ async function getMicrosoftAuthCode() {
 /**
  * Step 2: Exchange authorization code for Microsoft access token
  */
-async function getMicrosoftToken(code, verifier) {
+async function getMicrosoftToken(code, verifier, config) {
   const params = new URLSearchParams();
-  params.append("client_id", CLIENT_ID);
+  params.append("client_id", config.clientId);
   params.append("code", code);
   params.append("code_verifier", verifier);
   params.append("grant_type", "authorization_code");
-  params.append("redirect_uri", REDIRECT_URI);
+  params.append("redirect_uri", config.redirectUri);
 
   console.log("🔄 Exchanging authorization code for token...");
 
   try {
     const response = await axios.post(
-      "https://login.microsoftonline.com/consumers/oauth2/v2.0/token",
+      `${config.authority}/oauth2/v2.0/token`,
       params.toString(),
       {
         headers: {
@@ -171,12 +210,12 @@ async function getMicrosoftToken(code, verifier) {
 /**
  * Step 3: Authenticate with Xbox Live
  */
-async function authenticateXboxLive(msAccessToken) {
+async function authenticateXboxLive(msAccessToken, config) {
   console.log("🔄 Authenticating with Xbox Live...");
   
   try {
     const response = await axios.post(
-      "https://user.auth.xboxlive.com/user/authenticate",
+      `${config.xboxUrl}/user/authenticate`,
       {
         Properties: {
           AuthMethod: "RPS",
@@ -207,12 +246,12 @@ async function authenticateXboxLive(msAccessToken) {
 /**
  * Step 4: Authenticate with XSTS
  */
-async function authenticateXSTS(xblToken) {
+async function authenticateXSTS(xblToken, config) {
   console.log("🔄 Authenticating with XSTS...");
   
   try {
     const response = await axios.post(
-      "https://xsts.auth.xboxlive.com/xsts/authorize",
+      `${config.xstsUrl}/xsts/authorize`,
       {
         Properties: {
           SandboxId: "RETAIL",
@@ -247,12 +286,12 @@ async function authenticateXSTS(xblToken) {
 /**
  * Step 5: Authenticate with Minecraft
  */
-async function authenticateMinecraft(xstsToken, userHash) {
+async function authenticateMinecraft(xstsToken, userHash, config) {
   console.log("🔄 Authenticating with Minecraft...");
   
   try {
     const response = await axios.post(
-      "https://api.minecraftservices.com/authentication/login_with_xbox",
+      `${config.minecraftUrl}/authentication/login_with_xbox`,
       {
         identityToken: `XBL3.0 x=${userHash};${xstsToken}`,
       },
@@ -277,12 +316,12 @@ async function authenticateMinecraft(xstsToken, userHash) {
 /**
  * Step 6: Get Minecraft profile
  */
-async function getMinecraftProfile(mcAccessToken) {
+async function getMinecraftProfile(mcAccessToken, config) {
   console.log("🔄 Getting Minecraft profile...");
   
   try {
     const response = await axios.get(
-      "https://api.minecraftservices.com/minecraft/profile",
+      `${config.minecraftUrl}/minecraft/profile`,
       {
         headers: { Authorization: `Bearer ${mcAccessToken}` },
       }
@@ -301,10 +340,10 @@ async function getMinecraftProfile(mcAccessToken) {
 /**
  * Check game ownership
  */
-async function checkGameOwnership(mcAccessToken) {
+async function checkGameOwnership(mcAccessToken, config) {
   try {
     const response = await axios.get(
-      "https://api.minecraftservices.com/entitlements/mcstore",
+      `${config.minecraftUrl}/entitlements/mcstore`,
       {
         headers: { Authorization: `Bearer ${mcAccessToken}` },
       }
@@ -318,31 +357,40 @@ async function checkGameOwnership(mcAccessToken) {
   }
 }
 
+/**
+ * Steps 3 to 6: turn a Microsoft token into a Minecraft session and profile
+ */
+async function loginWithMicrosoftToken(msToken, config) {
+  const xblAuth = await authenticateXboxLive(msToken.access_token, config);
+  const xstsAuth = await authenticateXSTS(xblAuth.Token, config);
+  const mcAuth = await authenticateMinecraft(xstsAuth.Token, xblAuth.DisplayClaims.xui[0].uhs, config);
+  const profile = await getMinecraftProfile(mcAuth.access_token, config);
+
+  return {
+    accessToken: mcAuth.access_token,
+    refreshToken: msToken.refresh_token,
+    username: profile.name,
+    uuid: profile.id,
+    expiresAt: Date.now() + (msToken.expires_in || 3600) * 1000,
+  };
+}
+
 /**
  * Complete authentication flow
  */
-async function authenticateWithMicrosoft() {
+async function authenticateWithMicrosoft(authConfig) {
+  const config = getAuthConfig(authConfig);
   try {
     console.log("🚀 Starting Microsoft authentication...");
     
-    const { code, verifier } = await getMicrosoftAuthCode();
-    const msToken = await getMicrosoftToken(code, verifier);
-    const xblAuth = await authenticateXboxLive(msToken.access_token);
-    const xstsAuth = await authenticateXSTS(xblAuth.Token);
-    const mcAuth = await authenticateMinecraft(xstsAuth.Token, xblAuth.DisplayClaims.xui[0].uhs);
-    const profile = await getMinecraftProfile(mcAuth.access_token);
-    const ownsGame = await checkGameOwnership(mcAuth.access_token);
+    const { code, verifier } = await getMicrosoftAuthCode(config);
+    const msToken = await getMicrosoftToken(code, verifier, config);
+    const session = await loginWithMicrosoftToken(msToken, config);
+    const ownsGame = await checkGameOwnership(session.accessToken, config);
 
     console.log("✅ Authentication complete!");
 
-    return {
-      accessToken: mcAuth.access_token,
-      refreshToken: msToken.refresh_token,
-      username: profile.name,
-      uuid: profile.id,
-      ownsGame,
-      expiresAt: Date.now() + (msToken.expires_in || 3600) * 1000,
-    };
+    return { ...session, ownsGame };
   } catch (error) {
     console.error("❌ Authentication failed:", error.message);
     authInProgress = false;
@@ -350,44 +398,166 @@ async function authenticateWithMicrosoft() {
   }
 }
 
+/**
+ * Device code step 1: ask Microsoft for a code the user enters at `verificationUri` on any device
+ */
+async function requestDeviceCode(config) {
+  const params = new URLSearchParams({ client_id: config.clientId, scope: SCOPES });
+
+  try {
+    const response = await axios.post(
+      `${config.authority}/oauth2/v2.0/devicecode`,
+      params.toString(),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+
+    const data = response.data;
+    return {
+      deviceCode: data.device_code,
+      userCode: data.user_code,
+      verificationUri: data.verification_uri,
+      message: data.message || `Open ${data.verification_uri} and enter the code ${data.user_code}`,
+      interval: (data.interval || 5) * 1000,
+      expiresAt: Date.now() + (data.expires_in || 900) * 1000,
+    };
+  } catch (error) {
+    if (error.response) {
+      throw new Error(
+        `Device code request failed: ${error.response.data.error_description || error.response.data.error}`
+      );
+    }
+    throw error;
+  }
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new Error("Login cancelled"));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(new Error("Login cancelled"));
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Device code step 2: poll the token endpoint until the user has entered the code
+ */
+async function pollDeviceCodeToken(deviceCode, config, signal) {
+  let interval = deviceCode.interval;
+
+  while (Date.now() < deviceCode.expiresAt) {
+    await wait(interval, signal);
+
+    const params = new URLSearchParams({
+      client_id: config.clientId,
+      grant_type: DEVICE_CODE_GRANT,
+      device_code: deviceCode.deviceCode,
+    });
+
+    try {
+      const response = await axios.post(
+        `${config.authority}/oauth2/v2.0/token`,
+        params.toString(),
+        { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+      );
+      console.log("✅ Got Microsoft access token");
+      return response.data;
+    } catch (error) {
+      const code = error.response && error.response.data && error.response.data.error;
+      if (code === "authorization_pending") continue;
+      if (code === "slow_down") {
+        interval += 5000;
+        continue;
+      }
+      if (code === "authorization_declined") throw new Error("Login was declined");
+      if (code === "expired_token") break;
+      if (error.response) {
+        throw new Error(`Token request failed: ${error.response.data.error_description || code}`);
+      }
+      throw error;
+    }
+  }
+
+  throw new Error("The login code expired, please try again");
+}
+
+/**
+ * Log in without an embedded browser: `onCode` receives `{ userCode, verificationUri, message, expiresAt }`
+ * to show the user, then the token endpoint is polled until they have entered it. Abort with `signal`.
+ */
+async function authenticateWithDeviceCode({ onCode, signal, authConfig } = {}) {
+  const config = getAuthConfig(authConfig);
+  try {
+    console.log("🚀 Starting Microsoft device code login...");
+
+    const deviceCode = await requestDeviceCode(config);
+    if (onCode) {
+      onCode({
+        userCode: deviceCode.userCode,
+        verificationUri: deviceCode.verificationUri,
+        message: deviceCode.message,
+        expiresAt: deviceCode.expiresAt,
+      });
+    }
+
+    const msToken = await pollDeviceCodeToken(deviceCode, config, signal);
+    const session = await loginWithMicrosoftToken(msToken, config);
+    const ownsGame = await checkGameOwnership(session.accessToken, config);
+
+    console.log("✅ Authentication complete!");
+
+    return { ...session, ownsGame };
+  } catch (error) {
+    console.error("❌ Device code login failed:", error.message);
+    throw error;
+  }
+}
+
 /**
  * Refresh token
  */
-async function refreshAccessToken(refreshToken) {
+async function refreshAccessToken(refreshToken, authConfig) {
+  const config = getAuthConfig(authConfig);
   try {
     console.log("🔄 Refreshing access token...");
     
     const params = new URLSearchParams({
-      client_id: CLIENT_ID,
+      client_id: config.clientId,
       refresh_token: refreshToken,
       grant_type: "refresh_token",
-      redirect_uri: REDIRECT_URI,
+      redirect_uri: config.redirectUri,
     });
 
     const response = await axios.post(
-      "https://login.microsoftonline.com/consumers/oauth2/v2.0/token",
+      `${config.authority}/oauth2/v2.0/token`,
       params.toString(),
       { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
     );
 
-    const msToken = response.data;
-    const xblAuth = await authenticateXboxLive(msToken.access_token);
-    const xstsAuth = await authenticateXSTS(xblAuth.Token);
-    const mcAuth = await authenticateMinecraft(xstsAuth.Token, xblAuth.DisplayClaims.xui[0].uhs);
-    const profile = await getMinecraftProfile(mcAuth.access_token);
+    const session = await loginWithMicrosoftToken(response.data, config);
 
     console.log("✅ Token refresh successful");
 
-    return {
-      accessToken: mcAuth.access_token,
-      refreshToken: msToken.refresh_token,
-      username: profile.name,
-      uuid: profile.id,
-      expiresAt: Date.now() + (msToken.expires_in || 3600) * 1000,
-    };
+    return session;
   } catch (error) {
     console.error("❌ Token refresh failed");
-    throw new Error("Token refresh failed. Please log in again.");
+    const refreshError = new Error("Token refresh failed. Please log in again.");
+    // The refresh token was refused (invalid_grant) or a service rejected the session, logging in
+    // again is the only way out. Rate limits, outages and no connection are worth retrying later.
+    const response = error.response;
+    refreshError.needsLogin = Boolean(response) && (
+      (response.data && response.data.error === "invalid_grant") ||
+      response.status === 400 ||
+      response.status === 401
+    );
+    throw refreshError;
   }
 }
 
@@ -395,13 +565,78 @@ function isTokenExpired(expiresAt) {
   return Date.now() >= expiresAt - 300000;
 }
 
+/**
+ * Refresh a Microsoft account whose token has expired (or always with `force`) and save the
+ * rotated tokens. Accounts Microsoft refuses to refresh are marked as needing a new login.
+ * Returns the account with its current tokens.
+ */
+async function ensureFreshAccount(account, { force = false, authConfig } = {}) {
+  if (!account || account.type !== "microsoft") {
+    return account;
+  }
+
+  // Accounts saved before expiresAt was recorded are refreshed once to learn it
+  if (!force && account.accessToken && account.expiresAt && !isTokenExpired(account.expiresAt)) {
+    return account;
+  }
+
+  // Tokens sealed in the system keychain can only be read by the launcher window
+  if (account.encryptedTokens) {
+    throw new Error(`The tokens of ${account.username} are in the system keychain, launch it from the launcher window`);
+  }
+
+  if (!account.refreshToken) {
+    setAccountNeedsLogin(account.uuid, true);
+    const error = new Error(`The session of ${account.username} has expired. Please log in again.`);
+    error.needsLogin = true;
+    throw error;
+  }
+
+  try {
+    const authData = await refreshAccessToken(account.refreshToken, authConfig);
+    updateMicrosoftAccount({ ...authData, needsLogin: false });
+    return { ...account, ...authData, needsLogin: false };
+  } catch (error) {
+    if (error.needsLogin) {
+      setAccountNeedsLogin(account.uuid, true);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Refresh every expired Microsoft account, returns whether any account changed
+ */
+async function refreshExpiredAccounts(authConfig) {
+  let changed = false;
+
+  for (const account of getAllAccounts()) {
+    if (account.type !== "microsoft" || account.needsLogin) continue;
+
+    const before = account.accessToken;
+    try {
+      const refreshed = await ensureFreshAccount(account, { authConfig });
+      changed = changed || refreshed.accessToken !== before;
+    } catch (error) {
+      console.warn(`⚠️ Couldn't refresh ${account.username}: ${error.message}`);
+      changed = changed || Boolean(error.needsLogin);
+    }
+  }
+
+  return changed;
+}
+
 function cleanupAuthServer() {
   authInProgress = false;
 }
 
 module.exports = {
+  getAuthConfig,
   authenticateWithMicrosoft,
+  authenticateWithDeviceCode,
   refreshAccessToken,
   isTokenExpired,
+  ensureFreshAccount,
+  refreshExpiredAccounts,
   cleanupAuthServer,
 };
\ No newline at end of file
@@ -1,8 +1,32 @@
 const fs = require("fs");
 const path = require("path");
-const { app } = require("electron");
+const os = require("os");
 
-const PREFERENCES_FILE = path.join(app.getPath("userData"), "preferences.json");
+/**
+ * Electron's userData directory. Plain Node (the CLI) has no `app`, it gets the same
+ * directory worked out the way Electron does it.
+ */
+function getUserDataDirectory() {
+  try {
+    const { app } = require("electron");
+    if (app) return app.getPath("userData");
+  } catch {
+    // Not running inside Electron
+  }
+
+  const packageJson = require("./package.json");
+  const appName = packageJson.productName || packageJson.name;
+  switch (os.platform()) {
+    case "win32":
+      return path.join(process.env.APPDATA || path.join(os.homedir(), "AppData", "Roaming"), appName);
+    case "darwin":
+      return path.join(os.homedir(), "Library", "Application Support", appName);
+    default:
+      return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"), appName);
+  }
+}
+
+const PREFERENCES_FILE = path.join(getUserDataDirectory(), "preferences.json");
 
 const DEFAULT_PREFERENCES = {
   username: "Player",
@@ -12,6 +36,15 @@ const DEFAULT_PREFERENCES = {
   theme: "default", // default, dark, light
   ramAllocation: 2048, // MB
   showBetaAlpha: false, // Show beta and alpha versions
+  downloadConcurrency: 8, // Parallel downloads when installing a version
+  fabricMetaUrl: null, // Fabric meta server, null = official (set to use a mirror)
+  quiltMetaUrl: null, // Quilt meta server, null = official (set to use a mirror)
+  forgeMetaUrl: null, // Forge Maven repository, null = official
+  neoforgeMetaUrl: null, // NeoForge Maven repository, null = official
+  openLogConsole: false, // Open the game log console on every launch
+  instanceSort: "lastPlayed", // Instance list order: lastPlayed, name or created
+  javaPathByVersion: {}, // Minecraft version -> Java executable, for instances without their own Java
+  msAuthConfig: {}, // Microsoft login overrides: clientId, redirectUri, authority, xboxUrl, xstsUrl, minecraftUrl
 };
 
 function getPreferences() {
@@ -5,28 +5,98 @@ contextBridge.exposeInMainWorld("electronAPI", {
   getVersions: () => ipcRenderer.invoke("get-versions"),
   getPreferences: () => ipcRenderer.invoke("get-preferences"),
   savePreferences: (preferences) => ipcRenderer.invoke("save-preferences", preferences),
-  launchMinecraft: (version, username, ramAllocation) => ipcRenderer.invoke("launch-minecraft", version, username, ramAllocation),
+  launchMinecraft: (instanceId, launchOptions) => ipcRenderer.invoke("launch-minecraft", instanceId, launchOptions),
   openGameDirectory: () => ipcRenderer.invoke("open-game-directory"),
   getSystemRam: () => ipcRenderer.invoke("get-system-ram"),
-  getJavaInstallations: () => ipcRenderer.invoke("get-java-installations"),
+  getMemoryInfo: (instanceId) => ipcRenderer.invoke("get-memory-info", instanceId),
+  checkLaunchMemory: (instanceId) => ipcRenderer.invoke("check-launch-memory", instanceId),
+  getJavaInstallations: (refresh) => ipcRenderer.invoke("get-java-installations", refresh),
+  getRequiredJavaVersion: (versionId) => ipcRenderer.invoke("get-required-java-version", versionId),
+  browseJava: () => ipcRenderer.invoke("browse-java"),
+  verifyVersion: (version) => ipcRenderer.invoke("verify-version", version),
+  cancelDownload: (instanceId) => ipcRenderer.invoke("cancel-download", instanceId),
+  
+  // Running games
+  listRunning: () => ipcRenderer.invoke("list-running"),
+  killGame: (pid) => ipcRenderer.invoke("kill-game", pid),
+  
+  // Launch history
+  getLaunchHistory: (options) => ipcRenderer.invoke("get-launch-history", options),
+  getPlaytimeStats: () => ipcRenderer.invoke("get-playtime-stats"),
+  exportHistory: (format) => ipcRenderer.invoke("export-history", format),
+  
+  // Game log console
+  openLogConsole: () => ipcRenderer.invoke("open-log-console"),
+  getGameLog: () => ipcRenderer.invoke("get-game-log"),
+  openLogsDirectory: () => ipcRenderer.invoke("open-logs-directory"),
+  openCrashReport: () => ipcRenderer.invoke("open-crash-report"),
+  
+  // Mod loaders
+  getLoaderVersions: (type, gameVersion) => ipcRenderer.invoke("get-loader-versions", type, gameVersion),
+  
+  // Instance management
+  getInstances: () => ipcRenderer.invoke("get-instances"),
+  createInstance: (instanceData) => ipcRenderer.invoke("create-instance", instanceData),
+  renameInstance: (id, name) => ipcRenderer.invoke("rename-instance", id, name),
+  duplicateInstance: (id, name) => ipcRenderer.invoke("duplicate-instance", id, name),
+  deleteInstance: (id) => ipcRenderer.invoke("delete-instance", id),
+  updateInstance: (id, settings) => ipcRenderer.invoke("update-instance", id, settings),
+  selectInstance: (id) => ipcRenderer.invoke("select-instance", id),
+  openInstanceDirectory: (id) => ipcRenderer.invoke("open-instance-directory", id),
   
   // Account management
   msLogin: () => ipcRenderer.invoke("ms-login"),
+  msDeviceLogin: () => ipcRenderer.invoke("ms-device-login"),
+  cancelDeviceLogin: () => ipcRenderer.invoke("cancel-device-login"),
+  yggdrasilLogin: (serverUrl, username, password) => ipcRenderer.invoke("yggdrasil-login", serverUrl, username, password),
+  yggdrasilSelectProfile: (profileId) => ipcRenderer.invoke("yggdrasil-select-profile", profileId),
+  openDeviceLoginPage: () => ipcRenderer.invoke("open-device-login-page"),
   addOfflineAccount: (username) => ipcRenderer.invoke("add-offline-account", username),
   getAccounts: () => ipcRenderer.invoke("get-accounts"),
   selectAccount: (identifier) => ipcRenderer.invoke("select-account", identifier),
   removeAccount: (identifier) => ipcRenderer.invoke("remove-account", identifier),
-  refreshAccount: (refreshToken) => ipcRenderer.invoke("refresh-account", refreshToken),
+  refreshAccount: (uuid) => ipcRenderer.invoke("refresh-account", uuid),
+  
+  // Skins and capes of the selected Microsoft account
+  getSkinProfile: () => ipcRenderer.invoke("get-skin-profile"),
+  uploadSkinFile: (variant) => ipcRenderer.invoke("upload-skin-file", variant),
+  resetSkin: () => ipcRenderer.invoke("reset-skin"),
+  setActiveCape: (capeId) => ipcRenderer.invoke("set-active-cape", capeId),
+  getSkinLibrary: () => ipcRenderer.invoke("get-skin-library"),
+  applyLibrarySkin: (id) => ipcRenderer.invoke("apply-library-skin", id),
+  saveCurrentSkin: () => ipcRenderer.invoke("save-current-skin"),
+  removeLibrarySkin: (id) => ipcRenderer.invoke("remove-library-skin", id),
 
 
   onDownloadProgress: (callback) => {
-    ipcRenderer.on("download-progress", (event, percent) => callback(percent));
+    ipcRenderer.on("download-progress", (event, progress) => callback(progress));
+  },
+  onVerifyProgress: (callback) => {
+    ipcRenderer.on("verify-progress", (event, percent) => callback(percent));
   },
   onGameStarted: (callback) => {
-    ipcRenderer.on("game-started", () => callback());
+    ipcRenderer.on("game-started", (event, game) => callback(game));
   },
   onGameClosed: (callback) => {
-    ipcRenderer.on("game-closed", () => callback());
+    ipcRenderer.on("game-closed", (event, game) => callback(game));
+  },
+  onRunningChanged: (callback) => {
+    ipcRenderer.on("running-changed", () => callback());
+  },
+  onGameCrashed: (callback) => {
+    ipcRenderer.on("game-crashed", (event, crash) => callback(crash));
+  },
+  onGameLog: (callback) => {
+    ipcRenderer.on("game-log", (event, entry) => callback(entry));
+  },
+  onGameLogReset: (callback) => {
+    ipcRenderer.on("game-log-reset", () => callback());
+  },
+  onDeviceCode: (callback) => {
+    ipcRenderer.on("ms-device-code", (event, code) => callback(code));
+  },
+  onAccountsChanged: (callback) => {
+    ipcRenderer.on("accounts-changed", () => callback());
   },
   removeDownloadProgressListener: () => {
     ipcRenderer.removeAllListeners("download-progress");
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const os = require("os");
+const { execFile } = require("child_process");
+
+const KILL_TIMEOUT = 5000; // ms before a game that ignores SIGTERM is killed outright
+const CLOCK_TICKS = 100; // USER_HZ, 100 on every mainstream Linux build
+
+// pid -> { child, instanceId, instanceName, version, javaPath, startedAt, lastSample }
+const runningGames = new Map();
+
+/**
+ * Track a spawned game until it exits. `info` holds instanceId, instanceName, version and javaPath.
+ */
+function registerProcess(child, info, onChange) {
+  const entry = { ...info, child, pid: child.pid, startedAt: Date.now(), lastSample: null };
+  runningGames.set(child.pid, entry);
+
+  child.once("exit", () => {
+    runningGames.delete(child.pid);
+    if (onChange) onChange();
+  });
+
+  if (onChange) onChange();
+  return entry;
+}
+
+function isInstanceRunning(instanceId) {
+  return Array.from(runningGames.values()).some(entry => entry.instanceId === instanceId);
+}
+
+function hasRunningGames() {
+  return runningGames.size > 0;
+}
+
+function readLinuxStats(pid) {
+  const stat = fs.readFileSync(`/proc/${pid}/stat`, "utf8");
+  // The command name may contain spaces and parentheses, fields start after its closing ")"
+  const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+  const cpuSeconds = (parseInt(fields[11], 10) + parseInt(fields[12], 10)) / CLOCK_TICKS;
+
+  const status = fs.readFileSync(`/proc/${pid}/status`, "utf8");
+  const rss = /^VmRSS:\s+(\d+) kB/m.exec(status);
+
+  return { cpuSeconds, memoryMB: rss ? Math.round(parseInt(rss[1], 10) / 1024) : null };
+}
+
+function execStats(command, args) {
+  return new Promise((resolve) => {
+    execFile(command, args, { timeout: 3000, windowsHide: true }, (error, stdout) => {
+      resolve(error ? null : stdout.trim());
+    });
+  });
+}
+
+/**
+ * CPU (percent of one core, averaged since the last sample) and resident memory of a game.
+ * Linux reads /proc, macOS asks `ps` and Windows `tasklist`, which only reports memory.
+ */
+async function sampleProcess(entry) {
+  try {
+    if (os.platform() === "linux") {
+      const now = Date.now();
+      const { cpuSeconds, memoryMB } = readLinuxStats(entry.pid);
+      const previous = entry.lastSample || { time: entry.startedAt, cpuSeconds: 0 };
+      const elapsed = (now - previous.time) / 1000;
+      entry.lastSample = { time: now, cpuSeconds };
+
+      return {
+        cpuPercent: elapsed > 0 ? Math.round(((cpuSeconds - previous.cpuSeconds) / elapsed) * 100) : 0,
+        memoryMB,
+      };
+    }
+
+    if (os.platform() === "darwin") {
+      const output = await execStats("ps", ["-o", "%cpu=,rss=", "-p", String(entry.pid)]);
+      if (!output) return { cpuPercent: null, memoryMB: null };
+      const [cpu, rss] = output.split(/\s+/).map(Number);
+      return { cpuPercent: Math.round(cpu), memoryMB: Math.round(rss / 1024) };
+    }
+
+    if (os.platform() === "win32") {
+      const output = await execStats("tasklist", ["/FI", `PID eq ${entry.pid}`, "/FO", "CSV", "/NH"]);
+      const memory = output && /"([\d.,\s]+) K"$/.exec(output);
+      return {
+        cpuPercent: null,
+        memoryMB: memory ? Math.round(parseInt(memory[1].replace(/\D/g, ""), 10) / 1024) : null,
+      };
+    }
+  } catch {
+    // The process exited between listing and sampling
+  }
+  return { cpuPercent: null, memoryMB: null };
+}
+
+/**
+ * Every running game with its current CPU and memory use
+ */
+async function listRunning() {
+  const entries = Array.from(runningGames.values());
+  const stats = await Promise.all(entries.map(sampleProcess));
+
+  return entries.map((entry, index) => ({
+    pid: entry.pid,
+    instanceId: entry.instanceId,
+    instanceName: entry.instanceName,
+    version: entry.version,
+    javaPath: entry.javaPath,
+    startedAt: entry.startedAt,
+    ...stats[index],
+  }));
+}
+
+/**
+ * Ask a game to stop, killing it if it hasn't exited after KILL_TIMEOUT
+ */
+function killGame(pid) {
+  const entry = runningGames.get(pid);
+  if (!entry) {
+    throw new Error(`No game is running with PID ${pid}`);
+  }
+
+  console.log(`🛑 Stopping ${entry.instanceName || "Minecraft"} (PID ${pid})`);
+  entry.child.kill();
+
+  const timer = setTimeout(() => {
+    if (runningGames.has(pid)) {
+      entry.child.kill("SIGKILL");
+    }
+  }, KILL_TIMEOUT);
+  entry.child.once("exit", () => clearTimeout(timer));
+}
+
+module.exports = {
+  registerProcess,
+  isInstanceRunning,
+  hasRunningGames,
+  listRunning,
+  killGame,
+};
@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const axios = require("axios");
+const { downloadAll } = require("./downloader");
+
+const MINECRAFT_DIR = path.join(os.homedir(), ".minecraft-launcher");
+const RUNTIME_DIR = path.join(MINECRAFT_DIR, "runtime");
+const JAVA_RUNTIME_MANIFEST_URL =
+  "https://launchermeta.mojang.com/v1/products/java-runtime/2ec0cc96c44e5a76b9c8b7c39df7210883d12871/all.json";
+const JAVA_RUNTIME_MANIFEST_CACHE = path.join(RUNTIME_DIR, "all.json");
+const RUNTIME_INFO_FILE = ".runtime.json";
+const NETWORK_TIMEOUT = 10000; // ms
+
+/**
+ * The platform key Mojang uses in the java-runtime manifest, or null when it ships no runtimes for it
+ */
+function getRuntimePlatform() {
+  const arch = os.arch();
+
+  switch (os.platform()) {
+    case "win32":
+      if (arch === "arm64") return "windows-arm64";
+      return arch === "ia32" ? "windows-x86" : "windows-x64";
+    case "darwin":
+      return arch === "arm64" ? "mac-os-arm64" : "mac-os";
+    case "linux":
+      if (arch === "x64") return "linux";
+      if (arch === "ia32") return "linux-i386";
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Path of the java executable inside a runtime directory
+ */
+function getRuntimeJavaPath(runtimeDir) {
+  if (os.platform() === "win32") {
+    return path.join(runtimeDir, "bin", "javaw.exe");
+  }
+  if (os.platform() === "darwin") {
+    return path.join(runtimeDir, "jre.bundle", "Contents", "Home", "bin", "java");
+  }
+  return path.join(runtimeDir, "bin", "java");
+}
+
+/**
+ * "1.8.0_382" -> 8, "17.0.8" -> 17, "21" -> 21
+ */
+function parseMajorVersion(version) {
+  const legacy = version.match(/^1\.(\d+)/);
+  if (legacy) return parseInt(legacy[1], 10);
+
+  const modern = version.match(/^(\d+)/);
+  return modern ? parseInt(modern[1], 10) : null;
+}
+
+/**
+ * Read a JDK's `release` file (KEY="value" lines)
+ */
+function readReleaseFile(javaHome) {
+  const releasePath = path.join(javaHome, "release");
+  if (!fs.existsSync(releasePath)) return null;
+
+  const properties = {};
+  for (const line of fs.readFileSync(releasePath, "utf8").split(/\r?\n/)) {
+    const match = line.match(/^(\w+)="?(.*?)"?$/);
+    if (match) properties[match[1]] = match[2];
+  }
+  return properties;
+}
+
+/**
+ * The Java version a downloaded runtime reports in its `release` file
+ */
+function readRuntimeMajorVersion(runtimeDir) {
+  const javaHome = path.dirname(path.dirname(getRuntimeJavaPath(runtimeDir)));
+  const release = readReleaseFile(javaHome);
+  return release && release.JAVA_VERSION ? parseMajorVersion(release.JAVA_VERSION) : null;
+}
+
+/**
+ * Fetch the java-runtime manifest, keeping a copy on disk for when the network is unreachable
+ */
+async function getJavaRuntimeManifest() {
+  try {
+    const response = await axios.get(JAVA_RUNTIME_MANIFEST_URL, { timeout: NETWORK_TIMEOUT });
+    fs.mkdirSync(RUNTIME_DIR, { recursive: true });
+    fs.writeFileSync(JAVA_RUNTIME_MANIFEST_CACHE, JSON.stringify(response.data));
+    return response.data;
+  } catch (error) {
+    if (fs.existsSync(JAVA_RUNTIME_MANIFEST_CACHE)) {
+      console.warn(`Could not reach Mojang (${error.message}), using cached java-runtime manifest`);
+      return JSON.parse(fs.readFileSync(JAVA_RUNTIME_MANIFEST_CACHE, "utf8"));
+    }
+    throw error;
+  }
+}
+
+function readRuntimeInfo(runtimeDir) {
+  const infoPath = path.join(runtimeDir, RUNTIME_INFO_FILE);
+  if (!fs.existsSync(infoPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(infoPath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the runtimes previously downloaded into the runtime directory
+ */
+function findManagedJavaInstallations() {
+  if (!fs.existsSync(RUNTIME_DIR)) return [];
+
+  const installations = [];
+  for (const component of fs.readdirSync(RUNTIME_DIR)) {
+    const runtimeDir = path.join(RUNTIME_DIR, component);
+    const info = readRuntimeInfo(runtimeDir);
+    const javaPath = getRuntimeJavaPath(runtimeDir);
+
+    if (info && fs.existsSync(javaPath)) {
+      installations.push({
+        version: readRuntimeMajorVersion(runtimeDir) || info.majorVersion,
+        path: javaPath,
+        vendor: `Mojang (${component})`,
+        component,
+        isBuiltIn: true,
+      });
+    }
+  }
+  return installations;
+}
+
+/**
+ * Download a Java runtime component (e.g. "java-runtime-delta") from Mojang into
+ * `runtime/<component>`, checking every file's SHA-1 and restoring executable bits
+ * and symlinks. Returns the installation in the same shape as the Java scanners.
+ *
+ * The Java version is taken from the runtime's `release` file, or the manifest when it has none.
+ *
+ * Options: `signal` and `onProgress`.
+ */
+async function installJavaRuntime(component, options = {}) {
+  const platform = getRuntimePlatform();
+  if (!platform) {
+    throw new Error(`Mojang provides no Java runtime for ${os.platform()} ${os.arch()}, please install Java manually`);
+  }
+
+  const manifest = await getJavaRuntimeManifest();
+  const entry = manifest[platform] && manifest[platform][component] && manifest[platform][component][0];
+  if (!entry) {
+    throw new Error(`Java runtime ${component} is not available for ${platform}`);
+  }
+
+  const runtimeDir = path.join(RUNTIME_DIR, component);
+  const javaPath = getRuntimeJavaPath(runtimeDir);
+  const toInstallation = (majorVersion) => ({
+    version: majorVersion,
+    path: javaPath,
+    vendor: `Mojang (${component})`,
+    component,
+    isBuiltIn: true,
+  });
+
+  const info = readRuntimeInfo(runtimeDir);
+  if (info && info.sha1 === entry.manifest.sha1 && fs.existsSync(javaPath)) {
+    return toInstallation(readRuntimeMajorVersion(runtimeDir) || info.majorVersion);
+  }
+
+  console.log(`☕ Downloading Java runtime ${component} (${entry.version.name}) for ${platform}...`);
+
+  const filesResponse = await axios.get(entry.manifest.url, { timeout: NETWORK_TIMEOUT });
+  const files = Object.entries(filesResponse.data.files || {});
+
+  const tasks = [];
+  for (const [filePath, file] of files) {
+    const targetPath = path.join(runtimeDir, filePath);
+
+    if (file.type === "directory") {
+      fs.mkdirSync(targetPath, { recursive: true });
+    } else if (file.type === "file") {
+      tasks.push({
+        name: filePath,
+        path: targetPath,
+        url: file.downloads.raw.url,
+        sha1: file.downloads.raw.sha1,
+        size: file.downloads.raw.size,
+      });
+    }
+  }
+
+  const result = await downloadAll(tasks, {
+    signal: options.signal,
+    phase: "java",
+    onProgress: options.onProgress,
+  });
+
+  if (result.failed.length > 0) {
+    throw new Error(`Failed to download Java runtime ${component}: ${result.failed[0].name}: ${result.failed[0].error}`);
+  }
+
+  for (const [filePath, file] of files) {
+    const targetPath = path.join(runtimeDir, filePath);
+
+    if (file.type === "file" && file.executable && os.platform() !== "win32") {
+      fs.chmodSync(targetPath, 0o755);
+    } else if (file.type === "link" && os.platform() !== "win32") {
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.rmSync(targetPath, { force: true });
+      fs.symlinkSync(file.target, targetPath);
+    }
+  }
+
+  if (!fs.existsSync(javaPath)) {
+    throw new Error(`Java runtime ${component} was downloaded but ${javaPath} is missing`);
+  }
+
+  const majorVersion = readRuntimeMajorVersion(runtimeDir) || parseMajorVersion(entry.version.name);
+  fs.writeFileSync(
+    path.join(runtimeDir, RUNTIME_INFO_FILE),
+    JSON.stringify({ component, name: entry.version.name, sha1: entry.manifest.sha1, majorVersion }, null, 2)
+  );
+
+  console.log(`✅ Java runtime ${component} installed at ${runtimeDir}`);
+  return toInstallation(majorVersion);
+}
+
+module.exports = {
+  RUNTIME_DIR,
+  getRuntimePlatform,
+  parseMajorVersion,
+  readReleaseFile,
+  findManagedJavaInstallations,
+  installJavaRuntime,
+};
@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+
+const MINECRAFT_DIR = path.join(os.homedir(), ".minecraft-launcher");
+const KEY_FILE = path.join(MINECRAFT_DIR, "secret.key");
+
+// Secrets written before per-install keys existed used this constant, it's only kept to read them once
+const LEGACY_ENCRYPTION_KEY = "voxel-launcher-secure-key-2024";
+
+const SAFE_STORAGE_PREFIX = "v2:safe:";
+const KEY_FILE_PREFIX = "v2:key:";
+
+/**
+ * Electron's safeStorage (Keychain, DPAPI or the Secret Service), or null outside Electron's
+ * main process, before the app is ready, and when Linux has no keyring and would fall back
+ * to a hardcoded key of its own
+ */
+function getSafeStorage() {
+  let safeStorage;
+  try {
+    // Plain Node (the CLI) gets the path of the Electron binary instead of its API
+    safeStorage = require("electron").safeStorage;
+  } catch {
+    return null;
+  }
+
+  if (!safeStorage || !safeStorage.isEncryptionAvailable()) return null;
+  if (safeStorage.getSelectedStorageBackend && safeStorage.getSelectedStorageBackend() === "basic_text") return null;
+  return safeStorage;
+}
+
+/**
+ * The random key of this install, created on first use and readable only by the current user
+ */
+function getInstallKey() {
+  if (fs.existsSync(KEY_FILE)) {
+    const key = Buffer.from(fs.readFileSync(KEY_FILE, "utf8").trim(), "hex");
+    if (key.length === 32) return key;
+    throw new Error(`${KEY_FILE} is corrupted, remove it and log in again`);
+  }
+
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(MINECRAFT_DIR, { recursive: true });
+  try {
+    fs.writeFileSync(KEY_FILE, key.toString("hex"), { mode: 0o600, flag: "wx" });
+  } catch (error) {
+    // Another launcher process (the window and the CLI) created it first, use theirs
+    if (error.code === "EEXIST") return getInstallKey();
+    throw error;
+  }
+  return key;
+}
+
+/**
+ * Encrypt a secret with safeStorage when available, otherwise AES-256-GCM with the install key
+ */
+function encryptSecret(text) {
+  const safeStorage = getSafeStorage();
+  if (safeStorage) {
+    return SAFE_STORAGE_PREFIX + safeStorage.encryptString(text).toString("base64");
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getInstallKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return `${KEY_FILE_PREFIX}${iv.toString("hex")}:${cipher.getAuthTag().toString("hex")}:${encrypted.toString("hex")}`;
+}
+
+/**
+ * Whether this process can decrypt a secret; safeStorage secrets can't be read outside Electron
+ */
+function canDecryptSecret(encrypted) {
+  return !encrypted.startsWith(SAFE_STORAGE_PREFIX) || Boolean(getSafeStorage());
+}
+
+/**
+ * Whether a secret should be written again: legacy formats, and install-key secrets once safeStorage is available
+ */
+function shouldReencryptSecret(encrypted) {
+  if (encrypted.startsWith(SAFE_STORAGE_PREFIX)) return false;
+  if (encrypted.startsWith(KEY_FILE_PREFIX)) return Boolean(getSafeStorage());
+  return true;
+}
+
+/**
+ * OpenSSL's EVP_BytesToKey with MD5, how the removed `crypto.createCipher` derived its key and IV
+ */
+function deriveLegacyKeyAndIv(password) {
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+
+  while (derived.length < 48) {
+    block = crypto.createHash("md5").update(Buffer.concat([block, Buffer.from(password, "utf8")])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+  return { key: derived.subarray(0, 32), iv: derived.subarray(32, 48) };
+}
+
+/**
+ * Read the two formats older versions wrote: "<iv>:<data>" (AES-256-CBC keyed with the SHA-256
+ * of the constant) and plain hex from `crypto.createCipher` with the constant as password
+ */
+function decryptLegacySecret(encrypted) {
+  const parts = encrypted.split(":");
+
+  let key;
+  let iv;
+  let data;
+  if (parts.length === 2 && /^[0-9a-f]{32}$/i.test(parts[0])) {
+    key = crypto.createHash("sha256").update(LEGACY_ENCRYPTION_KEY).digest();
+    iv = Buffer.from(parts[0], "hex");
+    data = parts[1];
+  } else {
+    ({ key, iv } = deriveLegacyKeyAndIv(LEGACY_ENCRYPTION_KEY));
+    data = encrypted;
+  }
+
+  const decipher = crypto.createDecipheriv("aes-256-cbc", key, iv);
+  return decipher.update(data, "hex", "utf8") + decipher.final("utf8");
+}
+
+/**
+ * Decrypt a secret in any format this launcher ever wrote. Returns null when it can't be decrypted.
+ */
+function decryptSecret(encrypted) {
+  try {
+    if (encrypted.startsWith(SAFE_STORAGE_PREFIX)) {
+      const safeStorage = getSafeStorage();
+      if (!safeStorage) return null;
+      return safeStorage.decryptString(Buffer.from(encrypted.slice(SAFE_STORAGE_PREFIX.length), "base64"));
+    }
+
+    if (encrypted.startsWith(KEY_FILE_PREFIX)) {
+      const [ivHex, tagHex, dataHex] = encrypted.slice(KEY_FILE_PREFIX.length).split(":");
+      const decipher = crypto.createDecipheriv("aes-256-gcm", getInstallKey(), Buffer.from(ivHex, "hex"));
+      decipher.setAuthTag(Buffer.from(tagHex, "hex"));
+      return decipher.update(dataHex, "hex", "utf8") + decipher.final("utf8");
+    }
+
+    return decryptLegacySecret(encrypted);
+  } catch (error) {
+    console.error("Decryption failed:", error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  KEY_FILE,
+  encryptSecret,
+  decryptSecret,
+  canDecryptSecret,
+  shouldReencryptSecret,
+};
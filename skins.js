@@ -0,0 +1,260 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+const axios = require("axios");
+const { getAuthConfig } = require("./msauth");
+
+const MINECRAFT_DIR = path.join(os.homedir(), ".minecraft-launcher");
+const SKINS_DIR = path.join(MINECRAFT_DIR, "skins");
+const LIBRARY_FILE = path.join(SKINS_DIR, "library.json");
+
+const SKIN_VARIANTS = ["classic", "slim"];
+const MAX_SKIN_SIZE = 24 * 1024; // Mojang rejects larger uploads
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Throw unless `data` is a PNG Minecraft accepts as a skin: 64x64, or the legacy 64x32
+ */
+function validateSkin(data) {
+  if (data.length > MAX_SKIN_SIZE) {
+    throw new Error(`The skin is too large (${Math.round(data.length / 1024)} KB, at most 24 KB)`);
+  }
+
+  // IHDR is always the first chunk, its width and height follow the chunk type
+  if (data.length < 24 || !data.subarray(0, 8).equals(PNG_SIGNATURE) || data.toString("ascii", 12, 16) !== "IHDR") {
+    throw new Error("The skin must be a PNG image");
+  }
+
+  const width = data.readUInt32BE(16);
+  const height = data.readUInt32BE(20);
+  if (width !== 64 || (height !== 64 && height !== 32)) {
+    throw new Error(`The skin must be 64x64 or 64x32 pixels, this one is ${width}x${height}`);
+  }
+}
+
+function toDataUrl(data) {
+  return `data:image/png;base64,${data.toString("base64")}`;
+}
+
+function getServicesUrl(authConfig) {
+  return getAuthConfig(authConfig).minecraftUrl;
+}
+
+function describeRequestError(error, action) {
+  if (error.response) {
+    const data = error.response.data || {};
+    return new Error(`${action} failed: ${data.errorMessage || data.error || `HTTP ${error.response.status}`}`);
+  }
+  return new Error(`${action} failed: ${error.message}`);
+}
+
+/**
+ * The account's skins and capes as the profile reports them, plus the active skin as a data URL
+ */
+async function getSkinProfile(account, authConfig) {
+  let profile;
+  try {
+    const response = await axios.get(`${getServicesUrl(authConfig)}/minecraft/profile`, {
+      headers: { Authorization: `Bearer ${account.accessToken}` },
+    });
+    profile = response.data;
+  } catch (error) {
+    throw describeRequestError(error, "Loading the profile");
+  }
+
+  const skins = profile.skins || [];
+  const capes = profile.capes || [];
+  const activeSkin = skins.find(skin => skin.state === "ACTIVE") || null;
+  const activeCape = capes.find(cape => cape.state === "ACTIVE") || null;
+
+  let skinDataUrl = null;
+  if (activeSkin) {
+    try {
+      const texture = await axios.get(activeSkin.url, { responseType: "arraybuffer" });
+      skinDataUrl = toDataUrl(Buffer.from(texture.data));
+    } catch (error) {
+      console.warn("⚠️ Couldn't download the current skin:", error.message);
+    }
+  }
+
+  return {
+    username: profile.name,
+    skin: activeSkin && {
+      id: activeSkin.id,
+      url: activeSkin.url,
+      variant: (activeSkin.variant || "CLASSIC").toLowerCase(),
+    },
+    skinDataUrl,
+    capes: capes.map(cape => ({ id: cape.id, alias: cape.alias, url: cape.url, active: cape.state === "ACTIVE" })),
+    activeCapeId: activeCape ? activeCape.id : null,
+  };
+}
+
+/**
+ * Upload a skin image as the account's skin, `variant` is "classic" or "slim"
+ */
+async function uploadSkin(account, data, variant, authConfig) {
+  if (!SKIN_VARIANTS.includes(variant)) {
+    throw new Error(`Unknown skin model: ${variant}`);
+  }
+  validateSkin(data);
+
+  const form = new FormData();
+  form.append("variant", variant);
+  form.append("file", new Blob([data], { type: "image/png" }), "skin.png");
+
+  try {
+    await axios.post(`${getServicesUrl(authConfig)}/minecraft/profile/skins`, form, {
+      headers: { Authorization: `Bearer ${account.accessToken}` },
+    });
+    console.log(`👕 Uploaded a ${variant} skin for ${account.username}`);
+  } catch (error) {
+    throw describeRequestError(error, "Uploading the skin");
+  }
+}
+
+/**
+ * Go back to the default skin (Steve, Alex or another one picked by the UUID)
+ */
+async function resetSkin(account, authConfig) {
+  try {
+    await axios.delete(`${getServicesUrl(authConfig)}/minecraft/profile/skins/active`, {
+      headers: { Authorization: `Bearer ${account.accessToken}` },
+    });
+    console.log(`👕 Reset the skin of ${account.username}`);
+  } catch (error) {
+    throw describeRequestError(error, "Resetting the skin");
+  }
+}
+
+/**
+ * Show one of the account's capes, or hide the cape when `capeId` is null
+ */
+async function setActiveCape(account, capeId, authConfig) {
+  const url = `${getServicesUrl(authConfig)}/minecraft/profile/capes/active`;
+  const headers = { Authorization: `Bearer ${account.accessToken}` };
+
+  try {
+    if (capeId) {
+      await axios.put(url, { capeId }, { headers });
+    } else {
+      await axios.delete(url, { headers });
+    }
+  } catch (error) {
+    throw describeRequestError(error, capeId ? "Changing the cape" : "Hiding the cape");
+  }
+}
+
+/**
+ * Load the local skin library from disk
+ */
+function loadLibrary() {
+  try {
+    if (!fs.existsSync(LIBRARY_FILE)) {
+      return { skins: [] };
+    }
+    const parsed = JSON.parse(fs.readFileSync(LIBRARY_FILE, "utf8"));
+    return { skins: parsed.skins || [] };
+  } catch (error) {
+    console.error("Error loading the skin library:", error);
+    return { skins: [] };
+  }
+}
+
+/**
+ * Save the local skin library to disk
+ */
+function saveLibrary(library) {
+  fs.mkdirSync(SKINS_DIR, { recursive: true });
+  fs.writeFileSync(LIBRARY_FILE, JSON.stringify(library, null, 2));
+}
+
+function getLibrarySkin(id) {
+  const skin = loadLibrary().skins.find(entry => entry.id === id);
+  if (!skin) {
+    throw new Error("That skin is no longer in the library");
+  }
+  return skin;
+}
+
+function readLibrarySkin(skin) {
+  return fs.readFileSync(path.join(SKINS_DIR, skin.file));
+}
+
+/**
+ * Saved skins with their images as data URLs, newest first
+ */
+function listSkinLibrary() {
+  return loadLibrary().skins
+    .filter(skin => fs.existsSync(path.join(SKINS_DIR, skin.file)))
+    .sort((a, b) => b.addedAt - a.addedAt)
+    .map(skin => ({ ...skin, dataUrl: toDataUrl(readLibrarySkin(skin)) }));
+}
+
+/**
+ * Keep a copy of a skin image in the library. The same image is only stored once.
+ */
+function addSkinToLibrary(data, { name, variant = "classic" } = {}) {
+  validateSkin(data);
+
+  const hash = crypto.createHash("sha1").update(data).digest("hex");
+  const library = loadLibrary();
+  const existing = library.skins.find(skin => skin.hash === hash);
+  if (existing) {
+    existing.variant = variant;
+    if (name) existing.name = name;
+    saveLibrary(library);
+    return existing;
+  }
+
+  const skin = {
+    id: crypto.randomUUID(),
+    name: name || `Skin ${library.skins.length + 1}`,
+    variant: SKIN_VARIANTS.includes(variant) ? variant : "classic",
+    file: `${hash}.png`,
+    hash,
+    addedAt: Date.now(),
+  };
+
+  fs.mkdirSync(SKINS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(SKINS_DIR, skin.file), data);
+  library.skins.push(skin);
+  saveLibrary(library);
+  return skin;
+}
+
+function removeSkinFromLibrary(id) {
+  const library = loadLibrary();
+  const skin = library.skins.find(entry => entry.id === id);
+  if (!skin) return false;
+
+  library.skins = library.skins.filter(entry => entry.id !== id);
+  fs.rmSync(path.join(SKINS_DIR, skin.file), { force: true });
+  saveLibrary(library);
+  return true;
+}
+
+/**
+ * Download a skin texture (e.g. the account's current one) into the library
+ */
+async function saveSkinFromUrl(url, options) {
+  const response = await axios.get(url, { responseType: "arraybuffer" });
+  return addSkinToLibrary(Buffer.from(response.data), options);
+}
+
+module.exports = {
+  SKINS_DIR,
+  SKIN_VARIANTS,
+  validateSkin,
+  getSkinProfile,
+  uploadSkin,
+  resetSkin,
+  setActiveCape,
+  listSkinLibrary,
+  getLibrarySkin,
+  readLibrarySkin,
+  addSkinToLibrary,
+  removeSkinFromLibrary,
+  saveSkinFromUrl,
+};
@@ -0,0 +1,322 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+const axios = require("axios");
+const { downloadAll } = require("./downloader");
+const { getAccountId, addAccount, setAccountNeedsLogin } = require("./accounts");
+
+const MINECRAFT_DIR = path.join(os.homedir(), ".minecraft-launcher");
+const AUTHLIB_INJECTOR_DIR = path.join(MINECRAFT_DIR, "authlib-injector");
+const AUTHLIB_INJECTOR_META_URL = process.env.VOXEL_AUTHLIB_INJECTOR_URL ||
+  "https://authlib-injector.yushi.moe/artifact/latest.json";
+const NETWORK_TIMEOUT = 10000;
+const PROFILE_ID_PATTERN = /^([0-9a-f]{32}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+/**
+ * Turn what the user typed into the server's API root. Servers may point elsewhere with the
+ * X-Authlib-Injector-API-Location header (API Location Indication, used by Blessing Skin).
+ */
+async function resolveApiRoot(serverUrl) {
+  let url = serverUrl.trim();
+  if (!/^https?:\/\//i.test(url)) {
+    url = `https://${url}`;
+  }
+
+  try {
+    const response = await axios.get(url, { timeout: NETWORK_TIMEOUT });
+    const location = response.headers["x-authlib-injector-api-location"];
+    if (location) {
+      url = new URL(location, url).toString();
+    }
+  } catch (error) {
+    throw new Error(`Can't reach the authentication server at ${url}: ${error.message}`);
+  }
+
+  return url.replace(/\/+$/, "");
+}
+
+/**
+ * The server's metadata (name, skin domains, public key), as authlib-injector reads it
+ */
+async function getServerMetadata(apiRoot) {
+  const response = await axios.get(`${apiRoot}/`, { timeout: NETWORK_TIMEOUT, responseType: "text" });
+  return response.data;
+}
+
+/**
+ * POST to an authserver endpoint, turning Yggdrasil's `{ error, errorMessage }` into an Error.
+ * Rejections (4xx) are flagged with `needsLogin`.
+ */
+async function postAuthserver(apiRoot, endpoint, body) {
+  try {
+    const response = await axios.post(`${apiRoot}/authserver/${endpoint}`, body, {
+      headers: { "Content-Type": "application/json" },
+      timeout: NETWORK_TIMEOUT,
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      const data = error.response.data || {};
+      const failure = new Error(data.errorMessage || data.error || `The server answered HTTP ${error.response.status}`);
+      failure.needsLogin = error.response.status < 500;
+      throw failure;
+    }
+    throw error;
+  }
+}
+
+function toAccountData(apiRoot, serverName, session) {
+  const profile = session.selectedProfile;
+  // The id ends up in the launch arguments and the account list, only accept what a UUID looks like
+  if (!profile || typeof profile.id !== "string" || !PROFILE_ID_PATTERN.test(profile.id)) {
+    throw new Error("The authentication server returned an invalid profile id");
+  }
+
+  return {
+    type: "yggdrasil",
+    apiRoot,
+    serverName,
+    username: profile.name,
+    uuid: profile.id,
+    accessToken: session.accessToken,
+    clientToken: session.clientToken,
+    needsLogin: false,
+  };
+}
+
+/**
+ * Log in with username (or email) and password. Returns `{ account }` once a profile is selected,
+ * or `{ profiles, session }` when the user owns several and has to pick one with `selectProfile`.
+ * The password is only sent to the server, never stored.
+ */
+async function authenticate(serverUrl, username, password) {
+  const apiRoot = await resolveApiRoot(serverUrl);
+
+  let serverName = new URL(apiRoot).host;
+  try {
+    const metadata = JSON.parse(await getServerMetadata(apiRoot));
+    serverName = (metadata.meta && metadata.meta.serverName) || serverName;
+  } catch (error) {
+    console.warn("⚠️ Couldn't read the authentication server's metadata:", error.message);
+  }
+
+  console.log(`🔑 Logging in to ${serverName} as ${username}...`);
+  const session = await postAuthserver(apiRoot, "authenticate", {
+    agent: { name: "Minecraft", version: 1 },
+    username,
+    password,
+    clientToken: crypto.randomUUID().replace(/-/g, ""),
+    requestUser: true,
+  });
+
+  const profiles = session.availableProfiles || [];
+  if (!session.selectedProfile && profiles.length === 0) {
+    throw new Error("This account has no Minecraft profile on the server");
+  }
+
+  if (!session.selectedProfile && profiles.length === 1) {
+    return await selectProfile({ apiRoot, serverName, ...session }, profiles[0].id);
+  }
+  if (!session.selectedProfile) {
+    return { profiles, session: { apiRoot, serverName, accessToken: session.accessToken, clientToken: session.clientToken, profiles } };
+  }
+
+  const account = toAccountData(apiRoot, serverName, session);
+  addAccount(account);
+  console.log(`✅ Logged in as ${account.username}`);
+  return { account };
+}
+
+/**
+ * Bind a session that owns several profiles to one of them (a refresh with `selectedProfile`)
+ */
+async function selectProfile(session, profileId) {
+  const profile = (session.profiles || session.availableProfiles || []).find(entry => entry.id === profileId);
+  if (!profile) {
+    throw new Error("Unknown profile");
+  }
+
+  const refreshed = await postAuthserver(session.apiRoot, "refresh", {
+    accessToken: session.accessToken,
+    clientToken: session.clientToken,
+    requestUser: true,
+    selectedProfile: profile,
+  });
+
+  const account = toAccountData(session.apiRoot, session.serverName, {
+    ...refreshed,
+    selectedProfile: refreshed.selectedProfile || profile,
+  });
+  addAccount(account);
+  console.log(`✅ Logged in as ${account.username}`);
+  return { account };
+}
+
+/**
+ * Whether the server still accepts the account's access token
+ */
+async function validate(account) {
+  try {
+    await postAuthserver(account.apiRoot, "validate", {
+      accessToken: account.accessToken,
+      clientToken: account.clientToken,
+    });
+    return true;
+  } catch (error) {
+    if (error.needsLogin) return false;
+    throw error;
+  }
+}
+
+/**
+ * Swap the account's access token for a new one and save it
+ */
+async function refresh(account) {
+  const refreshed = await postAuthserver(account.apiRoot, "refresh", {
+    accessToken: account.accessToken,
+    clientToken: account.clientToken,
+    requestUser: true,
+  });
+
+  const updated = toAccountData(account.apiRoot, account.serverName, {
+    ...refreshed,
+    selectedProfile: refreshed.selectedProfile || { id: account.uuid, name: account.username },
+  });
+  addAccount(updated);
+  return { ...account, ...updated };
+}
+
+/**
+ * Make sure an authentication server account has a token the server accepts, refreshing it
+ * if needed. Accounts the server refuses to refresh are marked as needing a new login.
+ */
+async function ensureValidYggdrasilAccount(account) {
+  if (!account || account.type !== "yggdrasil") {
+    return account;
+  }
+
+  // Tokens sealed in the system keychain can only be read by the launcher window
+  if (account.encryptedTokens) {
+    throw new Error(`The tokens of ${account.username} are in the system keychain, launch it from the launcher window`);
+  }
+
+  if (!account.accessToken) {
+    setAccountNeedsLogin(getAccountId(account), true);
+    const error = new Error(`The session of ${account.username} has expired. Please log in again.`);
+    error.needsLogin = true;
+    throw error;
+  }
+
+  try {
+    if (await validate(account)) {
+      return account;
+    }
+    console.log(`🔄 Refreshing the session of ${account.username}...`);
+    return await refresh(account);
+  } catch (error) {
+    if (error.needsLogin) {
+      setAccountNeedsLogin(getAccountId(account), true);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Invalidate the account's token on the server, for when it is removed from the launcher
+ */
+async function signOut(account) {
+  try {
+    await postAuthserver(account.apiRoot, "invalidate", {
+      accessToken: account.accessToken,
+      clientToken: account.clientToken,
+    });
+  } catch (error) {
+    console.warn(`⚠️ Couldn't sign ${account.username} out of ${account.serverName}:`, error.message);
+  }
+}
+
+function findLocalAuthlibInjector() {
+  if (!fs.existsSync(AUTHLIB_INJECTOR_DIR)) return null;
+
+  const jars = fs.readdirSync(AUTHLIB_INJECTOR_DIR)
+    .filter(file => /^authlib-injector-.+\.jar$/.test(file))
+    .map(file => path.join(AUTHLIB_INJECTOR_DIR, file))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return jars[0] || null;
+}
+
+/**
+ * Download the latest authlib-injector, falling back to the last downloaded one when offline
+ */
+async function installAuthlibInjector(options = {}) {
+  let meta;
+  try {
+    meta = (await axios.get(AUTHLIB_INJECTOR_META_URL, { timeout: NETWORK_TIMEOUT })).data;
+  } catch (error) {
+    const localJar = findLocalAuthlibInjector();
+    if (localJar) {
+      console.warn("⚠️ Couldn't check for a newer authlib-injector, using", localJar);
+      return localJar;
+    }
+    throw new Error(`Couldn't download authlib-injector: ${error.message}`);
+  }
+
+  const jarPath = path.join(AUTHLIB_INJECTOR_DIR, `authlib-injector-${meta.version}.jar`);
+  const sha256 = meta.checksums && meta.checksums.sha256;
+  if (fs.existsSync(jarPath)) {
+    return jarPath;
+  }
+
+  // The metadata only publishes a SHA-256, the downloader checks SHA-1. The JAR is checked under
+  // another name so a corrupted download never looks installed.
+  const downloadPath = `${jarPath}.download`;
+  const result = await downloadAll([{
+    url: meta.download_url,
+    path: downloadPath,
+    name: path.basename(jarPath),
+  }], { ...options, phase: "authlib" });
+  if (result.failed.length > 0) {
+    throw new Error(`Couldn't download authlib-injector: ${result.failed[0].error}`);
+  }
+
+  if (sha256 && crypto.createHash("sha256").update(fs.readFileSync(downloadPath)).digest("hex") !== sha256) {
+    fs.rmSync(downloadPath, { force: true });
+    throw new Error("The downloaded authlib-injector is corrupted");
+  }
+  fs.renameSync(downloadPath, jarPath);
+
+  console.log(`✓ authlib-injector ${meta.version} installed`);
+  return jarPath;
+}
+
+/**
+ * JVM arguments that load authlib-injector and point it at the account's server. The server's
+ * metadata is passed along so the game doesn't have to fetch it again.
+ *
+ * Options: `signal` and `onProgress`, for the download.
+ */
+async function getAuthlibInjectorArguments(account, options = {}) {
+  const jarPath = await installAuthlibInjector(options);
+  const args = [`-javaagent:${jarPath}=${account.apiRoot}`];
+
+  try {
+    const metadata = await getServerMetadata(account.apiRoot);
+    args.push(`-Dauthlibinjector.yggdrasil.prefetched=${Buffer.from(metadata, "utf8").toString("base64")}`);
+  } catch (error) {
+    console.warn("⚠️ Couldn't prefetch the authentication server's metadata:", error.message);
+  }
+
+  return args;
+}
+
+module.exports = {
+  resolveApiRoot,
+  authenticate,
+  selectProfile,
+  validate,
+  refresh,
+  ensureValidYggdrasilAccount,
+  signOut,
+  getAuthlibInjectorArguments,
+};